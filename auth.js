@@ -0,0 +1,109 @@
+require('dotenv').config();
+const crypto = require('crypto');
+
+// Signed tokens (JWT, HS256) for the /api routes.
+// Access tokens are short lived and stateless; refresh tokens carry a jti
+// that is persisted in the refresh_tokens table so they can be revoked.
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;           // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60; // seconds
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  // Without a configured secret every restart invalidates issued tokens
+  secret = crypto.randomBytes(48).toString('hex');
+  console.log('⚠️ JWT_SECRET not set, using a random secret for this process');
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64')
+    .replace(/=/g, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function sign(data) {
+  return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+function encode(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+// Returns the decoded payload, or null if the token is malformed, tampered with or expired
+function verifyToken(token, expectedType) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!payload || typeof payload.exp !== 'number' || payload.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  if (expectedType && payload.type !== expectedType) return null;
+  return payload;
+}
+
+// sessionId ties the token to a row in user_sessions so it can be revoked server side
+function signAccessToken(user, sessionId) {
+  return encode({
+    type: 'access',
+    sub: user.employee_id,
+    role: user.role,
+    sid: sessionId
+  }, ACCESS_TOKEN_TTL);
+}
+
+// Returns the token together with its jti and expiry so the caller can persist them
+function signRefreshToken(user, sessionId) {
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL * 1000);
+  const token = encode({
+    type: 'refresh',
+    sub: user.employee_id,
+    sid: sessionId,
+    jti
+  }, REFRESH_TOKEN_TTL);
+  return { token, jti, expiresAt };
+}
+
+// Short-lived token proving the password step of a login that still needs a second factor
+const MFA_TOKEN_TTL = 5 * 60; // seconds
+
+function signMfaToken(user) {
+  return encode({
+    type: 'mfa',
+    sub: user.employee_id
+  }, MFA_TOKEN_TTL);
+}
+
+// Pulls the bearer token out of the Authorization header
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  signAccessToken,
+  signRefreshToken,
+  signMfaToken,
+  verifyToken,
+  getBearerToken
+};
@@ -157,12 +157,423 @@ const profilePhotoStorage = multer.diskStorage({
 });
 const uploadProfilePhoto = multer({ storage: profilePhotoStorage });
 
-// Serve uploaded profile photos statically
-
 // Serve uploaded profile photos statically
 app.use('/uploads/profile_photos', express.static(path.join(__dirname, 'uploads/profile_photos')));
-// Serve uploaded leave documents statically
-app.use('/uploads/leave_docs', express.static(path.join(__dirname, 'uploads/leave_docs')));
+// Leave documents are not served statically: they are downloaded through
+// GET /api/documents/:documentId/file, which checks who may read them
+
+const crypto = require('crypto');
+const { signAccessToken, signRefreshToken, signMfaToken, verifyToken, getBearerToken, ACCESS_TOKEN_TTL } = require('./auth');
+const { hashPassword, verifyPassword, needsRehash, validatePassword, generateTemporaryPassword } = require('./passwords');
+const { createRateLimiter } = require('./rate-limit');
+const { generateSecret, verifyTotp, provisioningUri, generateRecoveryCodes, hashRecoveryCode } = require('./totp');
+
+// Routes under /api that can be called without an access token
+const PUBLIC_API_ROUTES = [
+  'POST /login',
+  'POST /token/refresh',
+  'POST /login/mfa',
+  'POST /password/forgot',
+  'POST /password/reset'
+];
+
+// Routes still reachable while the account has to change its password
+const PASSWORD_CHANGE_ROUTES = [
+  'PUT /user/password',
+  'POST /logout'
+];
+
+// Roles that must use a second factor (TOTP) to sign in
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || 'admin,hr')
+  .split(',').map(role => role.trim().toLowerCase()).filter(Boolean);
+
+function requiresMfa(role) {
+  return MFA_REQUIRED_ROLES.includes((role || '').toLowerCase());
+}
+
+// Routes still reachable while a privileged account has not enrolled a second factor
+const MFA_ENROLLMENT_ROUTES = [
+  ...PASSWORD_CHANGE_ROUTES,
+  'GET /mfa/status',
+  'POST /mfa/enroll',
+  'POST /mfa/verify'
+];
+
+// Strip credentials before an employee row is sent to a client
+function sanitizeEmployee(employee) {
+  if (!employee) return employee;
+  const { password, mfa_secret, mfa_last_step, ...rest } = employee;
+  return rest;
+}
+
+// Authentication middleware - verifies the bearer token and attaches req.user
+async function authenticate(req, res, next) {
+  if (PUBLIC_API_ROUTES.includes(`${req.method} ${req.path}`)) return next();
+
+  const payload = verifyToken(getBearerToken(req), 'access');
+  if (!payload || !payload.sid) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, payload.sub)
+      .input('session_id', sql.VarChar, payload.sid)
+      .query(`
+        SELECT e.employee_id, e.full_name, e.email, e.role, e.designation, e.status,
+          e.must_change_password, e.mfa_enabled,
+          s.id as session_id, s.revoked_at as session_revoked_at,
+          DATEDIFF(SECOND, s.last_seen_at, GETDATE()) as session_idle_seconds
+        FROM employees e
+        LEFT JOIN user_sessions s ON s.id = @session_id AND s.employee_id = e.employee_id
+        WHERE e.employee_id = @employee_id
+      `);
+    const employee = result.recordset[0];
+    if (!employee || employee.status !== 'Active') {
+      return res.status(401).json({ success: false, error: 'Account is not active' });
+    }
+    if (!employee.session_id || employee.session_revoked_at) {
+      return res.status(401).json({ success: false, error: 'Session has ended, please sign in again', code: 'SESSION_EXPIRED' });
+    }
+    if (employee.session_idle_seconds > SESSION_IDLE_TIMEOUT_MINUTES * 60) {
+      await revokeSessions(pool.request(), { employeeId: employee.employee_id, sessionId: employee.session_id, reason: 'idle_timeout' });
+      return res.status(401).json({ success: false, error: 'Session timed out due to inactivity', code: 'SESSION_EXPIRED' });
+    }
+    // Only write last_seen_at about once a minute per session
+    if (employee.session_idle_seconds > 60) {
+      await touchSession(employee.session_id);
+    }
+    if (employee.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(`${req.method} ${req.path}`)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Password change required',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+    if (requiresMfa(employee.role) && !employee.mfa_enabled && !MFA_ENROLLMENT_ROUTES.includes(`${req.method} ${req.path}`)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication must be set up for this account',
+        code: 'MFA_ENROLLMENT_REQUIRED'
+      });
+    }
+    req.user = {
+      employeeId: employee.employee_id,
+      fullName: employee.full_name,
+      email: employee.email,
+      role: employee.role,
+      designation: employee.designation,
+      sessionId: employee.session_id
+    };
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+app.use('/api', authenticate);
+
+const { PERMISSIONS, ROLES, hasPermission, normalizeRole, permissionsFor } = require('./permissions');
+const { calculateLeaveDays, toDateKey, localDateKey, addDays, validateSessions, normalizeSession, leavesOverlap } = require('./leave-days');
+
+// Consistent 403 response for every authorization failure
+// Logs the denial and returns the 403 body, for handlers that build their response later
+function accessDeniedBody(req, permission) {
+  console.warn(`🚫 Access denied: ${req.user.employeeId} (${req.user.role}) ${req.method} ${req.originalUrl} [${permission}]`);
+  return {
+    success: false,
+    error: 'Forbidden',
+    message: 'You do not have permission to perform this action',
+    code: 'FORBIDDEN'
+  };
+}
+
+function denyAccess(req, res, permission) {
+  return res.status(403).json(accessDeniedBody(req, permission));
+}
+
+// Authorization middleware - requires the given permission
+function authorize(permission) {
+  return (req, res, next) => {
+    if (hasPermission(req.user.role, permission)) return next();
+    return denyAccess(req, res, permission);
+  };
+}
+
+// Authorization middleware - lets the owner of a resource through, anyone else
+// needs the given permission. resolveOwner(req) returns the owning employee_id
+// (or null when the resource has no owner / does not exist).
+function authorizeOwner(resolveOwner, permission) {
+  return async (req, res, next) => {
+    if (hasPermission(req.user.role, permission)) return next();
+    try {
+      const owner = await resolveOwner(req);
+      if (owner && owner.toString().toLowerCase() === req.user.employeeId.toLowerCase()) {
+        return next();
+      }
+      return denyAccess(req, res, permission);
+    } catch (err) {
+      console.error('Error checking resource ownership:', err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
+
+// Audit trail - every successful data-changing request under /api is written to audit_log.
+// Routes listed here get a readable action name and entity; handlers can attach a
+// "before" snapshot (or override any field) through setAuditContext().
+const AUDITED_ROUTES = {
+  'GET /api/employees/bulk-update-el-balance-all': { action: 'balance.bulk_update_el', entity: 'employee' },
+  'GET /api/employees/bulk-update-cl-balance-all': { action: 'balance.bulk_update_cl', entity: 'employee' },
+  'POST /api/employees': { action: 'employee.create', entity: 'employee', idFrom: body => body.employee_id },
+  'PATCH /api/employees/:employeeId': { action: 'employee.update', entity: 'employee', idParam: 'employeeId' },
+  'DELETE /api/employees/:employeeId': { action: 'employee.delete', entity: 'employee', idParam: 'employeeId' },
+  'PATCH /api/employees/:employeeId/leave-balances': { action: 'balance.update', entity: 'employee', idParam: 'employeeId' },
+  'PATCH /api/employees/:employeeId/fix-data': { action: 'employee.fix_data', entity: 'employee', idParam: 'employeeId' },
+  'PUT /api/employees/profile': { action: 'employee.update_profile', entity: 'employee' },
+  'POST /api/employees/upload_profile_photo': { action: 'employee.upload_photo', entity: 'employee' },
+  'PATCH /api/employees/:employeeId/profile-photo': { action: 'employee.upload_photo', entity: 'employee', idParam: 'employeeId' },
+  'DELETE /api/employees/:employeeId/profile-photo': { action: 'employee.delete_photo', entity: 'employee', idParam: 'employeeId' },
+  'POST /api/employees/:employeeId/unlock': { action: 'security.unlock', entity: 'employee', idParam: 'employeeId' },
+  'POST /api/employees/:employeeId/mfa/reset': { action: 'security.mfa_reset', entity: 'employee', idParam: 'employeeId' },
+  'POST /api/employees/:employeeId/sessions/revoke': { action: 'security.sessions_revoke', entity: 'employee', idParam: 'employeeId' },
+  'POST /api/leaves': { action: 'leave.apply', entity: 'leave', idFrom: body => body.id },
+  'PATCH /api/leaves/:id/approve': { action: 'leave.approve', entity: 'leave', idParam: 'id' },
+  'PATCH /api/leaves/:id/reject': { action: 'leave.reject', entity: 'leave', idParam: 'id' },
+  'POST /api/leaves/bulk-decision': { action: 'leave.bulk_decision', entity: 'leave' },
+  'POST /api/approval-chains': { action: 'approval_chain.create', entity: 'approval_chain', idFrom: body => body.chain?.id },
+  'DELETE /api/approval-chains/:id': { action: 'approval_chain.delete', entity: 'approval_chain', idParam: 'id' },
+  'POST /api/approval-delegations': { action: 'approval_delegation.create', entity: 'approval_delegation', idFrom: body => body.delegation?.id },
+  'DELETE /api/approval-delegations/:id': { action: 'approval_delegation.revoke', entity: 'approval_delegation', idParam: 'id' },
+  'POST /api/holidays': { action: 'holiday.create', entity: 'holiday', idFrom: body => body.holiday?.id },
+  'PUT /api/holidays/:id': { action: 'holiday.update', entity: 'holiday', idParam: 'id' },
+  'DELETE /api/holidays/:id': { action: 'holiday.delete', entity: 'holiday', idParam: 'id' },
+  'POST /api/leave-types': { action: 'leave_type.create', entity: 'leave_type', idFrom: body => body.leaveType?.code },
+  'PUT /api/leave-types/:code': { action: 'leave_type.update', entity: 'leave_type', idParam: 'code' },
+  'PUT /api/leave-types/:code/policy': { action: 'leave_policy.update', entity: 'leave_type', idParam: 'code' },
+  'DELETE /api/leave-types/:code': { action: 'leave_type.deactivate', entity: 'leave_type', idParam: 'code' },
+  'POST /api/leave-types/:code/reset-balances': { action: 'balance.reset_to_entitlement', entity: 'leave_type', idParam: 'code' },
+  'POST /api/leave-balances/accrual': { action: 'balance.accrual', entity: 'leave_type' },
+  'POST /api/year-end/:year/close': { action: 'balance.year_end_close', entity: 'year_end', idParam: 'year' },
+  'PATCH /api/leaves/:id/cancel': { action: 'leave.cancel', entity: 'leave', idParam: 'id' },
+  'POST /api/leaves/:id/request-cancellation': { action: 'leave.request_cancellation', entity: 'leave', idParam: 'id' },
+  'POST /api/leaves/:id/approve-cancellation': { action: 'leave.approve_cancellation', entity: 'leave', idParam: 'id' },
+  'POST /api/leaves/:id/reject-cancellation': { action: 'leave.reject_cancellation', entity: 'leave', idParam: 'id' },
+  'POST /api/leaves/cancel-approved': { action: 'leave.cancel_approved', entity: 'leave', idFrom: body => body.leave?.id },
+  'POST /api/leaves/:id/modifications': { action: 'leave.request_modification', entity: 'leave', idParam: 'id' },
+  'POST /api/leave-modifications/:id/approve': { action: 'leave.approve_modification', entity: 'leave_modification', idParam: 'id' },
+  'POST /api/leave-modifications/:id/reject': { action: 'leave.reject_modification', entity: 'leave_modification', idParam: 'id' },
+  'POST /api/leave-modifications/:id/withdraw': { action: 'leave.withdraw_modification', entity: 'leave_modification', idParam: 'id' },
+  'POST /api/leave-encashments': { action: 'encashment.request', entity: 'leave_encashment', idFrom: body => body.encashment?.id },
+  'PATCH /api/leave-encashments/:id/approve': { action: 'encashment.approve', entity: 'leave_encashment', idParam: 'id' },
+  'PATCH /api/leave-encashments/:id/reject': { action: 'encashment.reject', entity: 'leave_encashment', idParam: 'id' },
+  'POST /api/leave-encashments/:id/withdraw': { action: 'encashment.withdraw', entity: 'leave_encashment', idParam: 'id' },
+  'POST /api/comp-off-claims': { action: 'comp_off.claim', entity: 'comp_off_claim', idFrom: body => body.claim?.id },
+  'PATCH /api/comp-off-claims/:id/approve': { action: 'comp_off.approve', entity: 'comp_off_claim', idParam: 'id' },
+  'PATCH /api/comp-off-claims/:id/reject': { action: 'comp_off.reject', entity: 'comp_off_claim', idParam: 'id' },
+  'POST /api/comp-off-claims/:id/withdraw': { action: 'comp_off.withdraw', entity: 'comp_off_claim', idParam: 'id' },
+  'POST /api/comp-off-claims/lapse': { action: 'balance.comp_off_lapse', entity: 'leave_type' },
+  'POST /api/leaves/:id/upload-document': { action: 'document.upload', entity: 'leave', idParam: 'id' },
+  'DELETE /api/documents/:documentId': { action: 'document.delete', entity: 'document', idParam: 'documentId' },
+  'PUT /api/user/password': { action: 'security.password_change', entity: 'employee' },
+  'PUT /api/user/settings': { action: 'settings.update', entity: 'employee' },
+  'POST /api/mfa/enroll': { action: 'security.mfa_enroll', entity: 'employee', redact: true },
+  'POST /api/mfa/verify': { action: 'security.mfa_enable', entity: 'employee', redact: true },
+  'POST /api/mfa/recovery-codes': { action: 'security.mfa_recovery_codes', entity: 'employee', redact: true },
+  'DELETE /api/mfa': { action: 'security.mfa_disable', entity: 'employee' },
+  'POST /api/logout': { action: 'session.logout', entity: 'session' },
+  'DELETE /api/sessions': { action: 'session.revoke_others', entity: 'session' },
+  'DELETE /api/sessions/:sessionId': { action: 'session.revoke', entity: 'session', idParam: 'sessionId' },
+  'PATCH /api/notifications/:id/read': { action: 'notification.read', entity: 'notification', idParam: 'id' },
+  'DELETE /api/notifications/:userId/clear': { action: 'notification.clear', entity: 'employee', idParam: 'userId' },
+  'POST /api/notifications/test': { action: 'notification.create', entity: 'notification', idFrom: body => body.notification?.id }
+};
+
+// Fields never written to the audit trail
+const AUDIT_REDACTED_FIELDS = ['password', 'mfa_secret', 'mfa_last_step', 'accessToken', 'refreshToken', 'mfaToken', 'secret', 'otpauthUri', 'recoveryCodes'];
+
+function redactForAudit(value) {
+  if (Array.isArray(value)) return value.map(redactForAudit);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    for (const [key, field] of Object.entries(value)) {
+      if (!AUDIT_REDACTED_FIELDS.includes(key)) result[key] = redactForAudit(field);
+    }
+    return result;
+  }
+  return value;
+}
+
+// Current employee row, used as the "before" snapshot of employee updates
+async function employeeSnapshot(employeeId) {
+  const result = await pool.request()
+    .input('employee_id', sql.VarChar, employeeId)
+    .query('SELECT * FROM employees WHERE employee_id = @employee_id');
+  return result.recordset[0];
+}
+
+function setAuditContext(res, fields) {
+  res.locals.audit = { ...(res.locals.audit || {}), ...fields };
+}
+
+async function writeAuditEntry(entry) {
+  try {
+    await pool.request()
+      .input('actor_id', sql.VarChar, entry.actorId)
+      .input('actor_role', sql.VarChar, entry.actorRole)
+      .input('action', sql.VarChar, entry.action)
+      .input('entity_type', sql.VarChar, entry.entityType)
+      .input('entity_id', sql.VarChar, entry.entityId == null ? null : String(entry.entityId))
+      .input('before_data', sql.NVarChar(sql.MAX), entry.before == null ? null : JSON.stringify(redactForAudit(entry.before)))
+      .input('after_data', sql.NVarChar(sql.MAX), entry.after == null ? null : JSON.stringify(redactForAudit(entry.after)))
+      .input('source', sql.VarChar, entry.source)
+      .input('ip_address', sql.VarChar, entry.ipAddress)
+      .query(`INSERT INTO audit_log (actor_id, actor_role, action, entity_type, entity_id, before_data, after_data, source, ip_address)
+        VALUES (@actor_id, @actor_role, @action, @entity_type, @entity_id, @before_data, @after_data, @source, @ip_address)`);
+  } catch (err) {
+    console.error('Error writing audit log:', err);
+  }
+}
+
+// Audit middleware - records the request once the response has been sent successfully
+function auditTrail(req, res, next) {
+  if (!req.user) return next();
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    res.locals.auditResponse = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    if (!req.route || res.statusCode >= 400) return;
+    const routeKey = `${req.method} ${req.route.path}`;
+    const route = AUDITED_ROUTES[routeKey];
+    // GET requests are only audited when listed (the legacy bulk update endpoints)
+    if (req.method === 'GET' && !route) return;
+
+    const context = res.locals.audit || {};
+    const body = res.locals.auditResponse;
+    const config = route || { action: routeKey, entity: req.route.path.split('/')[2] };
+    let entityId = context.entityId;
+    if (entityId === undefined) {
+      if (config.idParam) entityId = req.params[config.idParam];
+      else if (config.idFrom && body) entityId = config.idFrom(body);
+      else if (config.entity === 'employee') entityId = req.user.employeeId;
+    }
+
+    writeAuditEntry({
+      actorId: req.user.employeeId,
+      actorRole: req.user.role,
+      action: context.action || config.action,
+      entityType: context.entityType || config.entity,
+      entityId,
+      before: context.before,
+      after: context.after !== undefined ? context.after : (config.redact ? undefined : body),
+      source: req.headers['x-source'] === 'app' ? 'App' : 'Web',
+      ipAddress: req.ip
+    });
+  });
+  next();
+}
+
+app.use('/api', auditTrail);
+
+// Owner resolvers for authorizeOwner
+const ownerFromParam = name => req => req.params[name];
+
+async function leaveOwner(req) {
+  const result = await pool.request()
+    .input('id', sql.Int, req.params.id)
+    .query('SELECT employee_id FROM leaves WHERE id = @id');
+  return result.recordset[0]?.employee_id || null;
+}
+
+async function notificationOwner(req) {
+  const result = await pool.request()
+    .input('id', sql.Int, req.params.id)
+    .query('SELECT user_id FROM notifications WHERE id = @id');
+  return result.recordset[0]?.user_id || null;
+}
+
+async function documentOwner(req) {
+  const result = await pool.request()
+    .input('documentId', sql.Int, req.params.documentId)
+    .query(`
+      SELECT l.employee_id
+      FROM leave_documents d
+      JOIN leaves l ON d.leave_id = l.id
+      WHERE d.id = @documentId
+    `);
+  return result.recordset[0]?.employee_id || null;
+}
+
+// Sessions - one row per signed-in device, ended by logout, revocation or idle timeout
+const SESSION_IDLE_TIMEOUT_MINUTES = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 10) || 30;
+
+async function createSession(req, user) {
+  const sessionId = crypto.randomUUID();
+  await pool.request()
+    .input('id', sql.VarChar, sessionId)
+    .input('employee_id', sql.VarChar, user.employee_id)
+    .input('device', sql.VarChar, req.headers['x-source'] === 'app' ? 'App' : 'Web')
+    .input('user_agent', sql.VarChar, (req.headers['user-agent'] || '').slice(0, 500))
+    .input('ip_address', sql.VarChar, req.ip)
+    .query(`INSERT INTO user_sessions (id, employee_id, device, user_agent, ip_address)
+      VALUES (@id, @employee_id, @device, @user_agent, @ip_address)`);
+  return sessionId;
+}
+
+async function touchSession(sessionId) {
+  await pool.request()
+    .input('id', sql.VarChar, sessionId)
+    .query('UPDATE user_sessions SET last_seen_at = GETDATE() WHERE id = @id');
+}
+
+// End sessions of an employee together with their refresh tokens.
+// sessionId limits it to one session, exceptSessionId keeps the caller's own session.
+// request can come from the pool or from a transaction.
+async function revokeSessions(request, { employeeId, sessionId = null, exceptSessionId = null, reason }) {
+  const result = await request
+    .input('employee_id', sql.VarChar, employeeId)
+    .input('session_id', sql.VarChar, sessionId)
+    .input('except_session_id', sql.VarChar, exceptSessionId)
+    .input('reason', sql.VarChar, reason)
+    .query(`
+      UPDATE user_sessions
+      SET revoked_at = GETDATE(), revoked_reason = @reason
+      WHERE employee_id = @employee_id AND revoked_at IS NULL
+        AND (@session_id IS NULL OR id = @session_id)
+        AND (@except_session_id IS NULL OR id <> @except_session_id);
+
+      UPDATE refresh_tokens
+      SET revoked_at = GETDATE()
+      WHERE employee_id = @employee_id AND revoked_at IS NULL
+        AND (@session_id IS NULL OR session_id = @session_id)
+        AND (@except_session_id IS NULL OR session_id IS NULL OR session_id <> @except_session_id);
+    `);
+  return result.rowsAffected[0];
+}
+
+// Issue an access + refresh token pair for a session and persist the refresh token
+async function issueTokens(user, sessionId) {
+  const accessToken = signAccessToken(user, sessionId);
+  const refresh = signRefreshToken(user, sessionId);
+  await pool.request()
+    .input('jti', sql.VarChar, refresh.jti)
+    .input('employee_id', sql.VarChar, user.employee_id)
+    .input('session_id', sql.VarChar, sessionId)
+    .input('expires_at', sql.DateTime, refresh.expiresAt)
+    .query(`INSERT INTO refresh_tokens (jti, employee_id, session_id, expires_at)
+      VALUES (@jti, @employee_id, @session_id, @expires_at)`);
+  return {
+    accessToken,
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
 // --- Global error handler to ensure all errors return JSON ---
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -209,22 +620,43 @@ async function createTables() {
         current_posting VARCHAR(255),
         password VARCHAR(255) NOT NULL,
         status VARCHAR(20) DEFAULT 'Active',
+        must_change_password BIT DEFAULT 0,
+        failed_login_attempts INT DEFAULT 0,
+        locked_until DATETIME,
+        mfa_secret VARCHAR(64),
+        mfa_enabled BIT DEFAULT 0,
+        mfa_last_step BIGINT,
+        reports_to VARCHAR(50),
         profile_photo TEXT,
-        cl_balance INT DEFAULT 16,
-        rh_balance INT DEFAULT 3,
-        el_balance INT DEFAULT 18,
+        cl_balance DECIMAL(5,1) DEFAULT 0,
+        rh_balance DECIMAL(5,1) DEFAULT 0,
+        el_balance DECIMAL(5,1) DEFAULT 0,
+        sl_balance DECIMAL(5,1) DEFAULT 0,
         created_at DATETIME DEFAULT GETDATE(),
         updated_at DATETIME DEFAULT GETDATE()
       )
     `);
 
-    // Update existing employees CL balance from 10 to 16
+    // Add employee columns introduced after the initial schema
     await pool.request().query(`
-      UPDATE employees SET cl_balance = 16 WHERE cl_balance = 10
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'must_change_password')
+        ALTER TABLE employees ADD must_change_password BIT NOT NULL DEFAULT 0;
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'failed_login_attempts')
+        ALTER TABLE employees ADD failed_login_attempts INT NOT NULL DEFAULT 0;
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'locked_until')
+        ALTER TABLE employees ADD locked_until DATETIME;
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'mfa_secret')
+        ALTER TABLE employees ADD mfa_secret VARCHAR(64);
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'mfa_enabled')
+        ALTER TABLE employees ADD mfa_enabled BIT NOT NULL DEFAULT 0;
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'mfa_last_step')
+        ALTER TABLE employees ADD mfa_last_step BIGINT;
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'reports_to')
+        ALTER TABLE employees ADD reports_to VARCHAR(50);
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'sl_balance')
+        ALTER TABLE employees ADD sl_balance DECIMAL(5,1) NOT NULL DEFAULT 0;
     `);
 
-    console.log('✅ Updated existing employees CL balance from 10 to 16');
-
     // Create leaves table if it doesn't exist
     await pool.request().query(`
       IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leaves' AND xtype='U')
@@ -232,10 +664,12 @@ async function createTables() {
         id INT IDENTITY(1,1) PRIMARY KEY,
         employee_id VARCHAR(50) NOT NULL,
         employee_name VARCHAR(255) NOT NULL,
-        type VARCHAR(10) NOT NULL CHECK (type IN ('CL', 'EL', 'RH', 'SL')),
+        type VARCHAR(10) NOT NULL,
         start_date DATE NOT NULL,
         end_date DATE NOT NULL,
-        days INT NOT NULL,
+        days DECIMAL(5,1) NOT NULL,
+        start_session VARCHAR(20) DEFAULT 'full',
+        end_session VARCHAR(20) DEFAULT 'full',
         reason TEXT,
         status VARCHAR(20) DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Rejected', 'Cancelled')),
         applied_on DATETIME DEFAULT GETDATE(),
@@ -248,10 +682,470 @@ async function createTables() {
         document_path TEXT,
         cancel_request_status VARCHAR(20),
         cancel_reason TEXT,
+        current_step INT,
+        approved_by VARCHAR(50),
+        approved_on_behalf_of VARCHAR(50),
+        day_breakdown NVARCHAR(MAX),
+        FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+      )
+    `);
+
+    // Add leave columns introduced after the initial schema
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leaves') AND name = 'current_step')
+        ALTER TABLE leaves ADD current_step INT;
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leaves') AND name = 'approved_by')
+        ALTER TABLE leaves ADD approved_by VARCHAR(50);
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leaves') AND name = 'approved_on_behalf_of')
+        ALTER TABLE leaves ADD approved_on_behalf_of VARCHAR(50);
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leaves') AND name = 'day_breakdown')
+        ALTER TABLE leaves ADD day_breakdown NVARCHAR(MAX);
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leaves') AND name = 'start_session')
+        ALTER TABLE leaves ADD start_session VARCHAR(20) DEFAULT 'full';
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leaves') AND name = 'end_session')
+        ALTER TABLE leaves ADD end_session VARCHAR(20) DEFAULT 'full';
+    `);
+
+    // Half days: day counts and balances were INT in the initial schema.
+    // Default constraints block ALTER COLUMN, so they are dropped and re-created.
+    await pool.request().query(`
+      IF EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'cl_balance' AND TYPE_NAME(system_type_id) = 'int')
+      BEGIN
+        DECLARE @drop NVARCHAR(MAX) = N'';
+        SELECT @drop += N'ALTER TABLE employees DROP CONSTRAINT ' + QUOTENAME(dc.name) + N';'
+        FROM sys.default_constraints dc
+        JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+        WHERE dc.parent_object_id = OBJECT_ID('employees') AND c.name IN ('cl_balance', 'rh_balance', 'el_balance');
+        EXEC sp_executesql @drop;
+        ALTER TABLE employees ALTER COLUMN cl_balance DECIMAL(5,1);
+        ALTER TABLE employees ALTER COLUMN rh_balance DECIMAL(5,1);
+        ALTER TABLE employees ALTER COLUMN el_balance DECIMAL(5,1);
+        ALTER TABLE employees ADD DEFAULT 0 FOR cl_balance;
+        ALTER TABLE employees ADD DEFAULT 0 FOR rh_balance;
+        ALTER TABLE employees ADD DEFAULT 0 FOR el_balance;
+      END
+      IF EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leaves') AND name = 'days' AND TYPE_NAME(system_type_id) = 'int')
+        ALTER TABLE leaves ALTER COLUMN days DECIMAL(5,1) NOT NULL;
+    `);
+
+    // Create holidays table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='holidays' AND xtype='U')
+      CREATE TABLE holidays (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        holiday_date DATE NOT NULL,
+        year INT,
+        name VARCHAR(255) NOT NULL,
+        type VARCHAR(20) DEFAULT 'Gazetted' CHECK (type IN ('Gazetted', 'Restricted')),
+        posting VARCHAR(255),
+        created_at DATETIME DEFAULT GETDATE()
+      )
+    `);
+
+    // Add holiday columns introduced after the initial schema
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('holidays') AND name = 'year')
+        ALTER TABLE holidays ADD year INT;
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('holidays') AND name = 'type')
+        ALTER TABLE holidays ADD type VARCHAR(20) NOT NULL DEFAULT 'Gazetted';
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('holidays') AND name = 'posting')
+        ALTER TABLE holidays ADD posting VARCHAR(255);
+    `);
+    await pool.request().query('UPDATE holidays SET year = YEAR(holiday_date) WHERE year IS NULL');
+
+    // Create leave_types table if it doesn't exist.
+    // balance_column names the legacy employees column (cl_balance etc.) that is
+    // kept in sync for existing clients; types added later only use employee_leave_balances.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_types' AND xtype='U')
+      CREATE TABLE leave_types (
+        code VARCHAR(10) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(255),
+        balance_column VARCHAR(50),
+        requires_approval BIT NOT NULL DEFAULT 1,
+        counts_weekly_offs BIT NOT NULL DEFAULT 0,
+        counts_holidays BIT NOT NULL DEFAULT 0,
+        allow_half_day BIT NOT NULL DEFAULT 1,
+        restricted_holidays_only BIT NOT NULL DEFAULT 0,
+        is_active BIT NOT NULL DEFAULT 1,
+        sort_order INT NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT GETDATE(),
+        updated_at DATETIME DEFAULT GETDATE()
+      )
+    `);
+
+    // Create leave_policies table if it doesn't exist.
+    // A new row is added for every change; the latest effective one applies.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_policies' AND xtype='U')
+      CREATE TABLE leave_policies (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        leave_type VARCHAR(10) NOT NULL,
+        annual_entitlement DECIMAL(5,1) NOT NULL DEFAULT 0,
+        max_balance DECIMAL(5,1),
+        advance_notice_days INT NOT NULL DEFAULT 0,
+        max_consecutive_days DECIMAL(5,1),
+        backdate_days INT NOT NULL DEFAULT 0,
+        encashable BIT NOT NULL DEFAULT 0,
+        encash_max_days_per_year DECIMAL(5,1),
+        encash_max_requests_per_year INT,
+        encash_min_retained DECIMAL(5,1) NOT NULL DEFAULT 0,
+        credit_validity_days INT,
+        accrual VARCHAR(20) NOT NULL DEFAULT 'none' CONSTRAINT ck_leave_policies_accrual CHECK (accrual IN ('none', 'annual', 'half_yearly')),
+        pro_rata BIT NOT NULL DEFAULT 0,
+        year_end_action VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (year_end_action IN ('none', 'lapse', 'carry_forward')),
+        carry_forward_cap DECIMAL(5,1),
+        effective_from DATE NOT NULL DEFAULT CAST(GETDATE() AS DATE),
+        created_by VARCHAR(50),
+        created_at DATETIME DEFAULT GETDATE(),
+        FOREIGN KEY (leave_type) REFERENCES leave_types(code)
+      )
+    `);
+
+    // Create employee_leave_balances table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='employee_leave_balances' AND xtype='U')
+      CREATE TABLE employee_leave_balances (
+        employee_id VARCHAR(50) NOT NULL,
+        leave_type VARCHAR(10) NOT NULL,
+        balance DECIMAL(5,1) NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT GETDATE(),
+        PRIMARY KEY (employee_id, leave_type),
+        FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type) REFERENCES leave_types(code)
+      )
+    `);
+
+    // Create leave_credits table if it doesn't exist (one row per accrual credit)
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_credits' AND xtype='U')
+      CREATE TABLE leave_credits (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        employee_id VARCHAR(50) NOT NULL,
+        leave_type VARCHAR(10) NOT NULL,
+        period VARCHAR(20) NOT NULL,
+        days DECIMAL(5,1) NOT NULL,
+        reason NVARCHAR(255),
+        created_at DATETIME DEFAULT GETDATE(),
+        CONSTRAINT uq_leave_credits UNIQUE (employee_id, leave_type, period),
         FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
       )
     `);
 
+    // Add leave policy columns introduced after the initial schema
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leave_policies') AND name = 'year_end_action')
+      BEGIN
+        ALTER TABLE leave_policies ADD year_end_action VARCHAR(20) NOT NULL DEFAULT 'none';
+        ALTER TABLE leave_policies ADD carry_forward_cap DECIMAL(5,1);
+        EXEC sp_executesql N'
+          UPDATE leave_policies SET year_end_action = ''lapse'' WHERE leave_type IN (''CL'', ''RH'');
+          UPDATE leave_policies SET year_end_action = ''carry_forward'', carry_forward_cap = 300 WHERE leave_type = ''EL''';
+      END
+    `);
+
+    // Periodic accrual: record why each credit was made, allow half-yearly
+    // accrual and move the seeded EL / CL policies to the pro-rated rules
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leave_credits') AND name = 'reason')
+      BEGIN
+        ALTER TABLE leave_credits ADD reason NVARCHAR(255);
+
+        DECLARE @constraint NVARCHAR(200);
+        SELECT @constraint = cc.name FROM sys.check_constraints cc
+        JOIN sys.columns c ON c.object_id = cc.parent_object_id AND c.column_id = cc.parent_column_id
+        WHERE cc.parent_object_id = OBJECT_ID('leave_policies') AND c.name = 'accrual';
+        IF @constraint IS NOT NULL EXEC('ALTER TABLE leave_policies DROP CONSTRAINT ' + @constraint);
+        ALTER TABLE leave_policies ADD CONSTRAINT ck_leave_policies_accrual CHECK (accrual IN ('none', 'annual', 'half_yearly'));
+
+        INSERT INTO leave_policies (leave_type, annual_entitlement, max_balance, advance_notice_days, accrual, pro_rata, year_end_action, carry_forward_cap, effective_from)
+        SELECT p.leave_type, p.annual_entitlement, p.max_balance, p.advance_notice_days,
+          CASE WHEN p.leave_type = 'EL' THEN 'half_yearly' ELSE p.accrual END, 1,
+          p.year_end_action, p.carry_forward_cap, CAST(GETDATE() AS DATE)
+        FROM leave_policies p
+        WHERE p.leave_type IN ('CL', 'EL') AND p.created_by IS NULL
+          AND p.id = (SELECT MAX(id) FROM leave_policies WHERE leave_type = p.leave_type);
+
+        -- EL for the current year was already credited in full
+        EXEC sp_executesql N'
+          INSERT INTO leave_credits (employee_id, leave_type, period, days, reason)
+          SELECT e.employee_id, ''EL'', CAST(YEAR(GETDATE()) AS VARCHAR(4)) + h.half, 0, ''Included in the annual EL credit''
+          FROM employees e CROSS JOIN (VALUES (''-H1''), (''-H2'')) h(half)
+          WHERE EXISTS (SELECT 1 FROM leave_types WHERE code = ''EL'')';
+      END
+    `);
+
+    // Leave timing rules: longest single leave and how far back a leave may start
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leave_policies') AND name = 'max_consecutive_days')
+      BEGIN
+        ALTER TABLE leave_policies ADD max_consecutive_days DECIMAL(5,1);
+        ALTER TABLE leave_policies ADD backdate_days INT NOT NULL DEFAULT 0;
+        EXEC sp_executesql N'
+          UPDATE leave_policies SET max_consecutive_days = 8 WHERE leave_type = ''CL'' AND created_by IS NULL;
+          UPDATE leave_policies SET max_consecutive_days = 180 WHERE leave_type = ''EL'' AND created_by IS NULL;
+          UPDATE leave_policies SET backdate_days = 3 WHERE leave_type = ''SL'' AND created_by IS NULL';
+      END
+    `);
+
+    // Encashment rules: whether unused balance can be encashed, how much per
+    // calendar year and how much must stay in the balance afterwards
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leave_policies') AND name = 'encashable')
+      BEGIN
+        ALTER TABLE leave_policies ADD encashable BIT NOT NULL DEFAULT 0;
+        ALTER TABLE leave_policies ADD encash_max_days_per_year DECIMAL(5,1);
+        ALTER TABLE leave_policies ADD encash_max_requests_per_year INT;
+        ALTER TABLE leave_policies ADD encash_min_retained DECIMAL(5,1) NOT NULL DEFAULT 0;
+        EXEC sp_executesql N'
+          UPDATE leave_policies SET encashable = 1, encash_max_days_per_year = 10, encash_max_requests_per_year = 1, encash_min_retained = 30
+          WHERE leave_type = ''EL'' AND created_by IS NULL';
+      END
+    `);
+
+    // Days an individual credit (e.g. a comp-off) stays usable; unused credits lapse afterwards
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leave_policies') AND name = 'credit_validity_days')
+        ALTER TABLE leave_policies ADD credit_validity_days INT;
+    `);
+
+    // Create year_end_runs table if it doesn't exist (one row per closed year)
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='year_end_runs' AND xtype='U')
+      CREATE TABLE year_end_runs (
+        year INT PRIMARY KEY,
+        run_by VARCHAR(50),
+        run_at DATETIME DEFAULT GETDATE(),
+        summary NVARCHAR(MAX)
+      )
+    `);
+
+    // Create year_end_results table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='year_end_results' AND xtype='U')
+      CREATE TABLE year_end_results (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        year INT NOT NULL,
+        employee_id VARCHAR(50) NOT NULL,
+        leave_type VARCHAR(10) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        closing_balance DECIMAL(5,1) NOT NULL,
+        carried_forward DECIMAL(5,1) NOT NULL,
+        lapsed DECIMAL(5,1) NOT NULL,
+        credited DECIMAL(5,1) NOT NULL,
+        opening_balance DECIMAL(5,1) NOT NULL,
+        FOREIGN KEY (year) REFERENCES year_end_runs(year)
+      )
+    `);
+
+    // Create leave_transactions table if it doesn't exist.
+    // The ledger is the source of truth for balances: every change is a signed
+    // row and the balance is their sum. employee_leave_balances (and the legacy
+    // employees columns) only cache that sum and are updated in the same transaction.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_transactions' AND xtype='U')
+      BEGIN
+        CREATE TABLE leave_transactions (
+          id INT IDENTITY(1,1) PRIMARY KEY,
+          employee_id VARCHAR(50) NOT NULL,
+          leave_type VARCHAR(10) NOT NULL,
+          transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('credit', 'debit', 'reversal', 'adjustment', 'lapse')),
+          days DECIMAL(6,1) NOT NULL,
+          balance_after DECIMAL(6,1) NOT NULL,
+          leave_id INT,
+          reference VARCHAR(50),
+          remarks NVARCHAR(255),
+          created_by VARCHAR(50),
+          created_at DATETIME DEFAULT GETDATE(),
+          FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE,
+          FOREIGN KEY (leave_type) REFERENCES leave_types(code)
+        );
+        CREATE INDEX ix_leave_transactions_employee ON leave_transactions (employee_id, leave_type, id);
+        CREATE INDEX ix_leave_transactions_leave ON leave_transactions (leave_id);
+      END
+    `);
+
+    await seedLeaveTypes();
+
+    // Balances that predate the ledger are brought in as an opening adjustment
+    await pool.request().query(`
+      INSERT INTO leave_transactions (employee_id, leave_type, transaction_type, days, balance_after, remarks)
+      SELECT b.employee_id, b.leave_type, 'adjustment', b.balance, b.balance, 'Opening balance'
+      FROM employee_leave_balances b
+      WHERE b.balance <> 0
+        AND NOT EXISTS (SELECT 1 FROM leave_transactions t WHERE t.employee_id = b.employee_id AND t.leave_type = b.leave_type)
+    `);
+
+    // Leave types are validated against leave_types now, not a CHECK constraint
+    await pool.request().query(`
+      DECLARE @dropCheck NVARCHAR(MAX) = N'';
+      SELECT @dropCheck += N'ALTER TABLE leaves DROP CONSTRAINT ' + QUOTENAME(cc.name) + N';'
+      FROM sys.check_constraints cc
+      JOIN sys.columns c ON c.object_id = cc.parent_object_id AND c.column_id = cc.parent_column_id
+      WHERE cc.parent_object_id = OBJECT_ID('leaves') AND c.name = 'type';
+      EXEC sp_executesql @dropCheck;
+    `);
+
+    // Create approval_chains table if it doesn't exist
+    // steps is a comma separated list of approvers: 'manager' (the employee's
+    // reports_to) or a role name, e.g. 'manager,hr'
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='approval_chains' AND xtype='U')
+      CREATE TABLE approval_chains (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        leave_type VARCHAR(10),
+        min_days DECIMAL(5,1),
+        steps VARCHAR(255) NOT NULL,
+        created_at DATETIME DEFAULT GETDATE()
+      )
+    `);
+
+    // Create leave_approvals table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_approvals' AND xtype='U')
+      CREATE TABLE leave_approvals (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        leave_id INT NOT NULL,
+        step_no INT NOT NULL,
+        approver_type VARCHAR(50) NOT NULL,
+        approver_id VARCHAR(50),
+        status VARCHAR(20) DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Rejected', 'Skipped')),
+        acted_by VARCHAR(50),
+        on_behalf_of VARCHAR(50),
+        acted_at DATETIME,
+        remarks TEXT,
+        FOREIGN KEY (leave_id) REFERENCES leaves(id) ON DELETE CASCADE
+      )
+    `);
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('leave_approvals') AND name = 'on_behalf_of')
+        ALTER TABLE leave_approvals ADD on_behalf_of VARCHAR(50);
+    `);
+
+    // Create approval_delegations table if it doesn't exist.
+    // A delegate acts with the delegator's approval authority between start_date
+    // and end_date; 'Active' rows past their end date are ended by the scheduler.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='approval_delegations' AND xtype='U')
+      CREATE TABLE approval_delegations (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        delegator_id VARCHAR(50) NOT NULL,
+        delegate_id VARCHAR(50) NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        reason NVARCHAR(500),
+        status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Ended', 'Revoked')),
+        created_by VARCHAR(50),
+        created_at DATETIME DEFAULT GETDATE(),
+        ended_at DATETIME
+      )
+    `);
+
+    // Create leave_modifications table if it doesn't exist.
+    // Proposed new dates for an approved leave; an employee can have one pending
+    // modification per leave.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_modifications' AND xtype='U')
+      BEGIN
+        CREATE TABLE leave_modifications (
+          id INT IDENTITY(1,1) PRIMARY KEY,
+          leave_id INT NOT NULL,
+          employee_id VARCHAR(50) NOT NULL,
+          start_date DATE NOT NULL,
+          end_date DATE NOT NULL,
+          start_session VARCHAR(20) NOT NULL DEFAULT 'full',
+          end_session VARCHAR(20) NOT NULL DEFAULT 'full',
+          days DECIMAL(5,1) NOT NULL,
+          previous_days DECIMAL(5,1) NOT NULL,
+          day_breakdown NVARCHAR(MAX),
+          reason NVARCHAR(500),
+          approver_type VARCHAR(50) NOT NULL,
+          approver_id VARCHAR(50),
+          status VARCHAR(20) NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Rejected', 'Withdrawn')),
+          requested_at DATETIME DEFAULT GETDATE(),
+          acted_by VARCHAR(50),
+          acted_at DATETIME,
+          remarks NVARCHAR(500),
+          FOREIGN KEY (leave_id) REFERENCES leaves(id) ON DELETE CASCADE
+        );
+        CREATE UNIQUE INDEX ux_leave_modifications_pending ON leave_modifications (leave_id) WHERE status = 'Pending';
+      END
+    `);
+
+    // Create leave_encashments table if it doesn't exist.
+    // Requests to encash unused balance; approved through the same chain as a
+    // leave of the type (leave_encashment_approvals) and debited on approval.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_encashments' AND xtype='U')
+      CREATE TABLE leave_encashments (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        employee_id VARCHAR(50) NOT NULL,
+        leave_type VARCHAR(10) NOT NULL,
+        days DECIMAL(5,1) NOT NULL,
+        reason NVARCHAR(500),
+        status VARCHAR(20) NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Rejected', 'Withdrawn')),
+        current_step INT,
+        requested_at DATETIME DEFAULT GETDATE(),
+        approved_by VARCHAR(50),
+        approved_on_behalf_of VARCHAR(50),
+        decided_at DATETIME,
+        remarks NVARCHAR(500),
+        ledger_transaction_id INT,
+        FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type) REFERENCES leave_types(code)
+      )
+    `);
+
+    // Create leave_encashment_approvals table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_encashment_approvals' AND xtype='U')
+      CREATE TABLE leave_encashment_approvals (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        encashment_id INT NOT NULL,
+        step_no INT NOT NULL,
+        approver_type VARCHAR(50) NOT NULL,
+        approver_id VARCHAR(50),
+        status VARCHAR(20) DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Rejected', 'Skipped')),
+        acted_by VARCHAR(50),
+        on_behalf_of VARCHAR(50),
+        acted_at DATETIME,
+        remarks NVARCHAR(500),
+        FOREIGN KEY (encashment_id) REFERENCES leave_encashments(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create comp_off_claims table if it doesn't exist.
+    // Work on a weekly off or gazetted holiday claimed for a compensatory off;
+    // an approved claim credits CO leave that lapses after expires_on.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='comp_off_claims' AND xtype='U')
+      BEGIN
+        CREATE TABLE comp_off_claims (
+          id INT IDENTITY(1,1) PRIMARY KEY,
+          employee_id VARCHAR(50) NOT NULL,
+          work_date DATE NOT NULL,
+          days DECIMAL(3,1) NOT NULL CHECK (days IN (0.5, 1)),
+          reason NVARCHAR(500) NOT NULL,
+          approver_type VARCHAR(50) NOT NULL,
+          approver_id VARCHAR(50),
+          status VARCHAR(20) NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Rejected', 'Withdrawn')),
+          requested_at DATETIME DEFAULT GETDATE(),
+          acted_by VARCHAR(50),
+          on_behalf_of VARCHAR(50),
+          acted_at DATETIME,
+          remarks NVARCHAR(500),
+          expires_on DATE,
+          ledger_transaction_id INT,
+          lapsed_days DECIMAL(3,1) NOT NULL DEFAULT 0,
+          lapsed_at DATETIME,
+          FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+        );
+        CREATE UNIQUE INDEX ux_comp_off_claims_work_date ON comp_off_claims (employee_id, work_date)
+          WHERE status IN ('Pending', 'Approved');
+      END
+    `);
+
     // Create notifications table if it doesn't exist
     await pool.request().query(`
       IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='notifications' AND xtype='U')
@@ -268,6 +1162,115 @@ async function createTables() {
       )
     `);
 
+    // Create user_sessions table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='user_sessions' AND xtype='U')
+      CREATE TABLE user_sessions (
+        id VARCHAR(64) PRIMARY KEY,
+        employee_id VARCHAR(50) NOT NULL,
+        device VARCHAR(10),
+        user_agent VARCHAR(500),
+        ip_address VARCHAR(64),
+        created_at DATETIME DEFAULT GETDATE(),
+        last_seen_at DATETIME DEFAULT GETDATE(),
+        revoked_at DATETIME,
+        revoked_reason VARCHAR(50),
+        FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create refresh_tokens table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='refresh_tokens' AND xtype='U')
+      CREATE TABLE refresh_tokens (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        jti VARCHAR(64) UNIQUE NOT NULL,
+        employee_id VARCHAR(50) NOT NULL,
+        session_id VARCHAR(64),
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT GETDATE(),
+        FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+      )
+    `);
+
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('refresh_tokens') AND name = 'session_id')
+        ALTER TABLE refresh_tokens ADD session_id VARCHAR(64);
+    `);
+    // Create login_events table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='login_events' AND xtype='U')
+      CREATE TABLE login_events (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        employee_id VARCHAR(50),
+        login_id VARCHAR(255),
+        event_type VARCHAR(20) NOT NULL,
+        ip_address VARCHAR(64),
+        user_agent VARCHAR(500),
+        details TEXT,
+        created_at DATETIME DEFAULT GETDATE()
+      )
+    `);
+
+    // Create audit_log table if it doesn't exist (append-only, see trigger below)
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='audit_log' AND xtype='U')
+      CREATE TABLE audit_log (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        actor_id VARCHAR(50),
+        actor_role VARCHAR(50),
+        action VARCHAR(100) NOT NULL,
+        entity_type VARCHAR(50),
+        entity_id VARCHAR(100),
+        before_data NVARCHAR(MAX),
+        after_data NVARCHAR(MAX),
+        source VARCHAR(10),
+        ip_address VARCHAR(64),
+        created_at DATETIME DEFAULT GETDATE()
+      )
+    `);
+    await pool.request().query(`
+      IF OBJECT_ID('trg_audit_log_append_only', 'TR') IS NULL
+      EXEC('CREATE TRIGGER trg_audit_log_append_only ON audit_log
+        INSTEAD OF UPDATE, DELETE
+        AS
+        BEGIN
+          RAISERROR(''audit_log is append-only'', 16, 1);
+          ROLLBACK TRANSACTION;
+        END')
+    `);
+
+    // Create mfa_recovery_codes table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='mfa_recovery_codes' AND xtype='U')
+      CREATE TABLE mfa_recovery_codes (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        employee_id VARCHAR(50) NOT NULL,
+        code_hash VARCHAR(128) NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT GETDATE(),
+        FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create password_reset_tokens table if it doesn't exist
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='password_reset_tokens' AND xtype='U')
+      CREATE TABLE password_reset_tokens (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        employee_id VARCHAR(50) NOT NULL,
+        otp_hash VARCHAR(128) NOT NULL,
+        channel VARCHAR(10) NOT NULL,
+        attempts INT DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        request_ip VARCHAR(64),
+        created_at DATETIME DEFAULT GETDATE(),
+        FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+      )
+    `);
+
     // Create leave_documents table if it doesn't exist
     await pool.request().query(`
       IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='leave_documents' AND xtype='U')
@@ -311,16 +1314,20 @@ async function initializeDatabase() {
       try {
         const userCount = await pool.request().query('SELECT COUNT(*) as count FROM employees');
         if (parseInt(userCount.recordset[0].count) === 0) {
-          await pool.request().query(`
-            INSERT INTO employees (
-              employee_id, full_name, email, mobile_number, 
-              designation, role, password, status
-            ) VALUES (
-              'ADMIN001', 'System Administrator', 'admin@buidco.com', '8002659674',
-              'Administrator', 'admin', 'admin123', 'Active'
-            )
-          `);
-          console.log('👤 Default admin user created: admin@buidco.com / admin123');
+          const oneTimePassword = generateTemporaryPassword();
+          await pool.request()
+            .input('password', sql.VarChar, await hashPassword(oneTimePassword))
+            .query(`
+              INSERT INTO employees (
+                employee_id, full_name, email, mobile_number, 
+                designation, role, password, status, must_change_password
+              ) VALUES (
+                'ADMIN001', 'System Administrator', 'admin@buidco.com', '8002659674',
+                'Administrator', 'admin', @password, 'Active', 1
+              )
+            `);
+          console.log(`👤 Default admin user created: admin@buidco.com / ${oneTimePassword}`);
+          console.log('🔑 This is a one-time password and must be changed on first login');
         }
       } catch (err) {
         console.log('ℹ️ Note: Could not create default admin user:', err.message);
@@ -425,42 +1432,392 @@ const ensureAdditionalTables = async () => {
 // Call with delay to ensure database is ready
 setTimeout(ensureAdditionalTables, 15000);
 
-// Bulk update all employees' earned leave balance to 18 (GET version, unique path)
-app.get('/api/employees/bulk-update-el-balance-all', async (req, res) => {
-  console.log('Bulk update endpoint hit');
-  try {
-    await pool.request().query(
-      'UPDATE employees SET el_balance = 18 WHERE el_balance != 18 OR el_balance IS NULL'
-    );
-    const result = await pool.request().query(
-      'SELECT employee_id, el_balance FROM employees WHERE el_balance = 18'
-    );
-    res.json({ 
-      success: true, 
-      message: `Updated ${result.recordset.length} employees' earned leave balance to 18`,
-      updatedEmployees: result.recordset
-    });
-  } catch (err) {
-    console.error('Error bulk updating earned leave balance:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
+// Accrual scheduler: leave types whose policy accrues 'annual' (e.g. SL) or
+// 'half_yearly' (e.g. EL) are credited in advance at the start of each period,
+// pro-rated in the period of joining and capped at the policy's max_balance.
+// Every credit is recorded in leave_credits, which also makes re-runs harmless.
+const ACCRUAL_LABELS = { annual: 'Annual', half_yearly: 'Half-yearly' };
+
+async function accrueLeave(asOf = new Date()) {
+  const leaveTypes = (await getLeaveTypes(pool.request())).filter(type => type.policy.accrual !== 'none');
+  const summary = { asOf: toDateKey(asOf), credited: {} };
+  for (const leaveType of leaveTypes) {
+    const { period, start, months } = accrualPeriodOn(leaveType.policy.accrual, asOf);
+    const employees = await pool.request()
+      .input('leave_type', sql.VarChar, leaveType.code)
+      .input('period', sql.VarChar, period)
+      .input('as_of', sql.Date, asOf)
+      .query(`SELECT e.employee_id, e.joining_date, ISNULL(b.balance, 0) as balance
+        FROM employees e
+        LEFT JOIN (SELECT employee_id, SUM(days) as balance FROM leave_transactions WHERE leave_type = @leave_type GROUP BY employee_id) b
+          ON b.employee_id = e.employee_id
+        WHERE (e.joining_date IS NULL OR e.joining_date <= @as_of)
+          AND NOT EXISTS (SELECT 1 FROM leave_credits c
+            WHERE c.employee_id = e.employee_id AND c.leave_type = @leave_type AND c.period = @period)`);
+
+    let credited = 0;
+    for (const employee of employees.recordset) {
+      const { maxBalance, proRata } = leaveType.policy;
+      const full = creditForPeriod(leaveType.policy, null, { start, months });
+      let credit = creditForPeriod(leaveType.policy, employee.joining_date, { start, months });
+      if (credit === null) continue;
+      let reason = `${ACCRUAL_LABELS[leaveType.policy.accrual]} ${leaveType.code} credit for ${period}`;
+      if (proRata && credit < full) reason += ` (pro-rated from joining date ${toDateKey(employee.joining_date)})`;
+      if (maxBalance !== null && Number(employee.balance) + credit > maxBalance) {
+        credit = Math.max(0, maxBalance - Number(employee.balance));
+        reason += ` (capped at maximum balance ${maxBalance})`;
+      }
 
-// Bulk update all employees' casual leave balance to 16 (GET version, unique path)
-app.get('/api/employees/bulk-update-cl-balance-all', async (req, res) => {
-  console.log('Bulk update CL balance endpoint hit');
-  try {
-    await pool.request().query(
-      'UPDATE employees SET cl_balance = 16 WHERE cl_balance != 16 OR cl_balance IS NULL'
-    );
-    const result = await pool.request().query(
-      'SELECT employee_id, cl_balance FROM employees WHERE cl_balance = 16'
-    );
-    res.json({ 
-      success: true, 
-      message: `Updated ${result.recordset.length} employees' casual leave balance to 16`,
-      updatedEmployees: result.recordset
+      const transaction = new sql.Transaction(pool);
+      await transaction.begin();
+      try {
+        await recordLeaveCredit(transaction.request(), { employeeId: employee.employee_id, leaveType, period, days: credit, reason });
+        if (credit) {
+          await postLeaveTransaction(transaction.request(), {
+            employeeId: employee.employee_id, leaveType, type: 'credit', days: credit, reference: period, remarks: reason
+          });
+        }
+        await transaction.commit();
+        credited++;
+      } catch (err) {
+        await transaction.rollback();
+        // Another run credited this employee in the meantime
+        if (err.number !== 2627) throw err;
+      }
+    }
+    summary.credited[leaveType.code] = { period, employees: credited };
+  }
+  return summary;
+}
+
+const runLeaveAccrual = async () => {
+  if (!process.env.DB_SERVER && !process.env.DB_NAME) {
+    return;
+  }
+  try {
+    const { credited } = await accrueLeave();
+    for (const [code, { period, employees }] of Object.entries(credited)) {
+      if (employees) console.log(`✅ Credited ${code} for ${period} to ${employees} employees`);
+    }
+  } catch (err) {
+    console.error('❌ Error running leave accrual:', err.message);
+  }
+};
+
+// On startup and then daily so each new period's credit is picked up
+setTimeout(runLeaveAccrual, 20000);
+setInterval(runLeaveAccrual, 24 * 60 * 60 * 1000).unref();
+
+// Run the accrual manually (e.g. after importing employees); asOf defaults to today
+app.post('/api/leave-balances/accrual', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+    if (isNaN(asOf) || asOf > new Date()) {
+      return res.status(400).json({ error: 'asOf must be a valid date that is not in the future' });
+    }
+    res.json({ success: true, ...(await accrueLeave(asOf)) });
+  } catch (err) {
+    console.error('Error running leave accrual:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Credits to an employee's leave balances: when, how much and why
+app.get('/api/employees/:employeeId/leave-credits', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
+  try {
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, req.params.employeeId)
+      .input('leave_type', sql.VarChar, req.query.type ? req.query.type.toUpperCase() : null)
+      .query(`SELECT id, leave_type, period, days, reason, created_at FROM leave_credits
+        WHERE employee_id = @employee_id AND (@leave_type IS NULL OR leave_type = @leave_type)
+        ORDER BY created_at DESC, id DESC`);
+    res.json({
+      success: true,
+      credits: result.recordset.map(credit => ({
+        id: credit.id,
+        leaveType: credit.leave_type,
+        period: credit.period,
+        days: Number(credit.days),
+        reason: credit.reason,
+        creditedAt: credit.created_at
+      }))
     });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Year-end close: for every leave type whose policy has a year-end action, the
+// unused balance of the closing year either lapses or is carried forward up to
+// the policy's cap, and the new year's entitlement is credited on top (types
+// with periodic accrual are credited by the accrual scheduler instead).
+// A year can only be closed once (year_end_runs); a dry run returns the same
+// per-employee results without writing anything.
+const YEAR_END_AUTO_CLOSE = (process.env.YEAR_END_AUTO_CLOSE || 'false').toLowerCase() === 'true';
+
+async function planYearEnd(request, year) {
+  const leaveTypes = (await getLeaveTypes(pool.request())).filter(type => type.policy.yearEndAction !== 'none');
+  // The closing balance only counts ledger entries effective by 31 December:
+  // leave movements by the leave's start date, everything else by when it was
+  // posted, leaving out credits already made for the new year
+  const employees = await request
+    .input('next_year', sql.VarChar, String(year + 1))
+    .input('year_end', sql.Date, `${year}-12-31`)
+    .query(`
+      SELECT e.employee_id, e.full_name, e.joining_date, b.leave_type, b.balance
+      FROM employees e
+      LEFT JOIN (
+        SELECT t.employee_id, t.leave_type, SUM(t.days) as balance
+        FROM leave_transactions t
+        LEFT JOIN leaves l ON l.id = t.leave_id
+        WHERE ISNULL(l.start_date, CAST(t.created_at AS DATE)) <= @year_end
+          AND NOT (t.transaction_type = 'credit' AND LEFT(ISNULL(t.reference, ''), 4) = @next_year)
+        GROUP BY t.employee_id, t.leave_type
+      ) b ON b.employee_id = e.employee_id
+      ORDER BY e.employee_id;
+      SELECT employee_id, leave_type, SUM(days) as days FROM leave_credits
+      WHERE LEFT(period, 4) = @next_year
+      GROUP BY employee_id, leave_type;
+    `);
+
+  // Credits the accrual scheduler (or joining) already made for the new year
+  // are part of the opening balance, and stop the entitlement being credited twice
+  const newYearCredits = new Map(employees.recordsets[1].map(row => [`${row.employee_id}:${row.leave_type}`, Number(row.days)]));
+
+  const byEmployee = new Map();
+  for (const row of employees.recordsets[0]) {
+    if (!byEmployee.has(row.employee_id)) {
+      byEmployee.set(row.employee_id, { employeeId: row.employee_id, fullName: row.full_name, joiningDate: row.joining_date, balances: {} });
+    }
+    if (row.leave_type) byEmployee.get(row.employee_id).balances[row.leave_type] = Number(row.balance);
+  }
+
+  const results = [];
+  for (const employee of byEmployee.values()) {
+    for (const leaveType of leaveTypes) {
+      const { yearEndAction, carryForwardCap } = leaveType.policy;
+      const creditKey = `${employee.employeeId}:${leaveType.code}`;
+      const alreadyCredited = newYearCredits.get(creditKey) || 0;
+      const closing = employee.balances[leaveType.code] || 0;
+      let carried = 0;
+      if (yearEndAction === 'carry_forward') {
+        carried = carryForwardCap === null ? closing : Math.min(closing, carryForwardCap);
+      }
+      // A negative balance (overdrawn leave) is carried as is
+      if (closing < 0) carried = closing;
+      // Only types without periodic accrual get their entitlement here
+      const credited = leaveType.policy.accrual === 'none' && !newYearCredits.has(creditKey)
+        ? entitlementForYear(leaveType.policy, employee.joiningDate, year + 1)
+        : 0;
+      results.push({
+        employeeId: employee.employeeId,
+        fullName: employee.fullName,
+        leaveType: leaveType.code,
+        action: yearEndAction,
+        closingBalance: closing,
+        carriedForward: carried,
+        lapsed: closing - carried,
+        credited,
+        openingBalance: carried + credited + alreadyCredited
+      });
+    }
+  }
+  return { leaveTypes, results };
+}
+
+function summarizeYearEnd(year, leaveTypes, results) {
+  const totals = {};
+  for (const leaveType of leaveTypes) {
+    const rows = results.filter(result => result.leaveType === leaveType.code);
+    totals[leaveType.code] = {
+      action: leaveType.policy.yearEndAction,
+      carryForwardCap: leaveType.policy.carryForwardCap,
+      employees: rows.length,
+      carriedForward: rows.reduce((sum, row) => sum + row.carriedForward, 0),
+      lapsed: rows.reduce((sum, row) => sum + row.lapsed, 0),
+      credited: rows.reduce((sum, row) => sum + row.credited, 0)
+    };
+  }
+  return { year, newYear: year + 1, totals };
+}
+
+async function getYearEndRun(year) {
+  const result = await pool.request()
+    .input('year', sql.Int, year)
+    .query(`
+      SELECT * FROM year_end_runs WHERE year = @year;
+      SELECT * FROM year_end_results WHERE year = @year ORDER BY employee_id, leave_type;
+    `);
+  const run = result.recordsets[0][0];
+  if (!run) return null;
+  return {
+    year: run.year,
+    runBy: run.run_by,
+    runAt: run.run_at,
+    summary: run.summary ? JSON.parse(run.summary) : null,
+    results: result.recordsets[1].map(row => ({
+      employeeId: row.employee_id,
+      leaveType: row.leave_type,
+      action: row.action,
+      closingBalance: Number(row.closing_balance),
+      carriedForward: Number(row.carried_forward),
+      lapsed: Number(row.lapsed),
+      credited: Number(row.credited),
+      openingBalance: Number(row.opening_balance)
+    }))
+  };
+}
+
+// Returns { alreadyClosed, dryRun, summary, results }
+async function closeYear(year, { dryRun = false, runBy = null } = {}) {
+  const existing = await getYearEndRun(year);
+  if (existing) return { alreadyClosed: true, dryRun, ...existing };
+
+  if (dryRun) {
+    const { leaveTypes, results } = await planYearEnd(pool.request(), year);
+    return { alreadyClosed: false, dryRun, summary: summarizeYearEnd(year, leaveTypes, results), results };
+  }
+
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  try {
+    // Claim the year first: a concurrent run fails on the primary key
+    await transaction.request()
+      .input('year', sql.Int, year)
+      .input('run_by', sql.VarChar, runBy)
+      .query('INSERT INTO year_end_runs (year, run_by) VALUES (@year, @run_by)');
+
+    // Balances are read inside the transaction so they cannot change underneath the close
+    await transaction.request().query('SELECT TOP 1 id FROM leave_transactions WITH (TABLOCKX, HOLDLOCK)');
+    const { leaveTypes, results } = await planYearEnd(transaction.request(), year);
+    for (const result of results) {
+      const leaveType = leaveTypes.find(type => type.code === result.leaveType);
+      if (result.lapsed) {
+        await postLeaveTransaction(transaction.request(), {
+          employeeId: result.employeeId,
+          leaveType,
+          type: 'lapse',
+          days: -result.lapsed,
+          reference: String(year),
+          remarks: `Unused ${leaveType.code} of ${year} lapsed at year end`,
+          createdBy: runBy
+        });
+      }
+      if (result.credited) {
+        const reason = `Year-end ${leaveType.code} entitlement for ${year + 1}`;
+        await recordLeaveCredit(transaction.request(), {
+          employeeId: result.employeeId, leaveType, period: String(year + 1), days: result.credited, reason
+        });
+        await postLeaveTransaction(transaction.request(), {
+          employeeId: result.employeeId,
+          leaveType,
+          type: 'credit',
+          days: result.credited,
+          reference: String(year + 1),
+          remarks: reason,
+          createdBy: runBy
+        });
+      }
+      await transaction.request()
+        .input('year', sql.Int, year)
+        .input('employee_id', sql.VarChar, result.employeeId)
+        .input('leave_type', sql.VarChar, result.leaveType)
+        .input('action', sql.VarChar, result.action)
+        .input('closing_balance', sql.Decimal(5, 1), result.closingBalance)
+        .input('carried_forward', sql.Decimal(5, 1), result.carriedForward)
+        .input('lapsed', sql.Decimal(5, 1), result.lapsed)
+        .input('credited', sql.Decimal(5, 1), result.credited)
+        .input('opening_balance', sql.Decimal(5, 1), result.openingBalance)
+        .query(`INSERT INTO year_end_results (year, employee_id, leave_type, action, closing_balance, carried_forward, lapsed, credited, opening_balance)
+          VALUES (@year, @employee_id, @leave_type, @action, @closing_balance, @carried_forward, @lapsed, @credited, @opening_balance)`);
+    }
+    const summary = summarizeYearEnd(year, leaveTypes, results);
+    await transaction.request()
+      .input('year', sql.Int, year)
+      .input('summary', sql.NVarChar(sql.MAX), JSON.stringify(summary))
+      .query('UPDATE year_end_runs SET summary = @summary WHERE year = @year');
+    await transaction.commit();
+    return { alreadyClosed: false, dryRun, summary, results };
+  } catch (err) {
+    await transaction.rollback();
+    if (err.number === 2627) {
+      return { alreadyClosed: true, dryRun, ...(await getYearEndRun(year)) };
+    }
+    throw err;
+  }
+}
+
+// Preview (dryRun: true) or run the year-end close of a year
+app.post('/api/year-end/:year/close', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    if (!year || year < 2000 || year >= new Date().getFullYear()) {
+      return res.status(400).json({ error: 'Only a past year can be closed; the current year can be closed from 1 January next year' });
+    }
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+    const outcome = await closeYear(year, { dryRun, runBy: req.user.employeeId });
+    if (outcome.alreadyClosed) {
+      return res.status(409).json({ success: false, error: `Year ${year} has already been closed`, ...outcome });
+    }
+    res.json({ success: true, ...outcome });
+  } catch (err) {
+    console.error('Error closing year:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Results of a completed year-end close
+app.get('/api/year-end/:year', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  try {
+    const run = await getYearEndRun(parseInt(req.params.year, 10));
+    if (!run) {
+      return res.status(404).json({ error: `Year ${req.params.year} has not been closed` });
+    }
+    res.json({ success: true, ...run });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// With YEAR_END_AUTO_CLOSE=true the previous year is closed automatically once the new year starts
+const runYearEndClose = async () => {
+  if (!YEAR_END_AUTO_CLOSE || (!process.env.DB_SERVER && !process.env.DB_NAME)) {
+    return;
+  }
+  try {
+    const year = new Date().getFullYear() - 1;
+    const outcome = await closeYear(year, { runBy: 'system' });
+    if (!outcome.alreadyClosed) console.log(`✅ Year-end close for ${year} completed`);
+  } catch (err) {
+    console.error('❌ Error running year-end close:', err.message);
+  }
+};
+
+setTimeout(runYearEndClose, 25000);
+setInterval(runYearEndClose, 24 * 60 * 60 * 1000).unref();
+
+// Reset all employees' earned leave balance to the EL entitlement (GET version, unique path).
+// Deprecated: overwrites carried-forward EL; use POST /api/year-end/:year/close instead.
+app.get('/api/employees/bulk-update-el-balance-all', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  console.log('Bulk update endpoint hit');
+  res.set('Deprecation', 'true');
+  res.set('Link', '</api/year-end/{year}/close>; rel="successor-version"');
+  try {
+    res.json(await resetBalancesToEntitlement(res, await getLeaveType(pool.request(), 'EL'), req.user.employeeId));
+  } catch (err) {
+    console.error('Error bulk updating earned leave balance:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reset all employees' casual leave balance to the CL entitlement (GET version, unique path).
+// Deprecated: use POST /api/year-end/:year/close instead.
+app.get('/api/employees/bulk-update-cl-balance-all', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  console.log('Bulk update CL balance endpoint hit');
+  res.set('Deprecation', 'true');
+  res.set('Link', '</api/year-end/{year}/close>; rel="successor-version"');
+  try {
+    res.json(await resetBalancesToEntitlement(res, await getLeaveType(pool.request(), 'CL'), req.user.employeeId));
   } catch (err) {
     console.error('Error bulk updating casual leave balance:', err);
     res.status(500).json({ error: err.message });
@@ -468,7 +1825,7 @@ app.get('/api/employees/bulk-update-cl-balance-all', async (req, res) => {
 });
 
 // Delete employee by employee_id
-app.delete('/api/employees/:employeeId', async (req, res) => {
+app.delete('/api/employees/:employeeId', authorize(PERMISSIONS.EMPLOYEES_DELETE), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const result = await pool.request()
@@ -477,19 +1834,20 @@ app.delete('/api/employees/:employeeId', async (req, res) => {
     if (!result.recordset.length) {
       return res.status(404).json({ success: false, message: 'Employee not found' });
     }
-    res.json({ success: true, employee: result.recordset[0] });
+    setAuditContext(res, { before: result.recordset[0], after: null });
+    res.json({ success: true, employee: sanitizeEmployee(result.recordset[0]) });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
 // Update employee by employee_id
-app.patch('/api/employees/:employeeId', async (req, res) => {
+app.patch('/api/employees/:employeeId', authorize(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const {
       full_name, email, mobile_number, designation, role, 
-      joining_date, current_posting, password, status
+      joining_date, current_posting, password, status, reports_to
     } = req.body;
 
     // Build dynamic update query
@@ -514,8 +1872,17 @@ app.patch('/api/employees/:employeeId', async (req, res) => {
       inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: designation });
     }
     if (role !== undefined) {
+      const roleError = validateRole(role);
+      if (roleError) {
+        return res.status(400).json({ error: roleError });
+      }
+      const current = await employeeSnapshot(employeeId);
+      if (current && normalizeRole(current.role) !== normalizeRole(role) &&
+        !canAssignRole(req.user, role, { currentRole: current.role, employeeId })) {
+        return denyAccess(req, res, PERMISSIONS.ROLES_ASSIGN);
+      }
       updateFields.push(`role = @param${paramCount}`);
-      inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: role });
+      inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: normalizeRole(role) });
     }
     if (joining_date !== undefined) {
       updateFields.push(`joining_date = @param${paramCount}`);
@@ -526,17 +1893,30 @@ app.patch('/api/employees/:employeeId', async (req, res) => {
       inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: current_posting });
     }
     if (password !== undefined && password.trim() !== '') {
+      const passwordErrors = validatePassword(password);
+      if (passwordErrors.length) {
+        return res.status(400).json({ error: passwordErrors[0], details: passwordErrors });
+      }
       updateFields.push(`password = @param${paramCount}`);
-      inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: password });
+      inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: await hashPassword(password) });
     }
     if (status !== undefined) {
       updateFields.push(`status = @param${paramCount}`);
       inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: status });
     }
+    if (reports_to !== undefined) {
+      const reportsToError = await validateReportsTo(employeeId, reports_to);
+      if (reportsToError) {
+        return res.status(400).json({ error: reportsToError });
+      }
+      updateFields.push(`reports_to = @param${paramCount}`);
+      inputs.push({ name: `param${paramCount++}`, type: sql.VarChar, value: reports_to || null });
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
+    setAuditContext(res, { before: await employeeSnapshot(employeeId) });
 
     // Add employeeId as last param
     inputs.push({ name: `param${paramCount}`, type: sql.VarChar, value: employeeId });
@@ -555,10 +1935,14 @@ app.patch('/api/employees/:employeeId', async (req, res) => {
     if (!result.recordset.length) {
       return res.status(404).json({ error: 'Employee not found' });
     }
+    // Deactivated employees are signed out everywhere
+    if (status !== undefined && status !== 'Active') {
+      await revokeSessions(pool.request(), { employeeId: result.recordset[0].employee_id, reason: 'deactivated' });
+    }
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      employee: result.recordset[0]
+      employee: sanitizeEmployee(result.recordset[0])
     });
   } catch (err) {
     console.error('Error updating employee:', err);
@@ -567,51 +1951,141 @@ app.patch('/api/employees/:employeeId', async (req, res) => {
 });
 
 // Update employee leave balances
-app.patch('/api/employees/:employeeId/leave-balances', async (req, res) => {
+// Get employee leave balances with reserved (pending) and consumed (approved) days
+app.get('/api/employees/:employeeId/leave-balances', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
   try {
-    const { employeeId } = req.params;
-    const { cl_balance, rh_balance, el_balance } = req.body;
-
-    // Build dynamic update query for leave balances
-    const updateFields = [];
-    const inputs = [];
-    let paramCount = 1;
-
-    if (cl_balance !== undefined) {
-      updateFields.push(`cl_balance = @param${paramCount}`);
-      inputs.push({ name: `param${paramCount++}`, type: sql.Int, value: cl_balance });
+    const balances = await getLeaveBalances(pool.request(), req.params.employeeId);
+    if (!balances) {
+      return res.status(404).json({ error: 'Employee not found' });
     }
-    if (rh_balance !== undefined) {
-      updateFields.push(`rh_balance = @param${paramCount}`);
-      inputs.push({ name: `param${paramCount++}`, type: sql.Int, value: rh_balance });
+    res.json({ success: true, employeeId: req.params.employeeId, balances });
+  } catch (err) {
+    console.error('Error fetching employee leave balances:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Passbook-style history of an employee's balances from the leave_transactions
+// ledger, oldest first. Optional filters: type, from, to (YYYY-MM-DD); with from
+// the balance brought forward from before that date is returned per type.
+app.get('/api/employees/:employeeId/ledger', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
+  try {
+    const { type, from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value))) {
+        return res.status(400).json({ error: `${name} must be a valid date` });
+      }
     }
-    if (el_balance !== undefined) {
-      updateFields.push(`el_balance = @param${paramCount}`);
-      inputs.push({ name: `param${paramCount++}`, type: sql.Int, value: el_balance });
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, req.params.employeeId)
+      .input('leave_type', sql.VarChar, type ? type.toUpperCase() : null)
+      .input('from', sql.Date, from || null)
+      .input('to', sql.Date, to || null)
+      .query(`
+        SELECT employee_id FROM employees WHERE employee_id = @employee_id;
+
+        SELECT leave_type, SUM(days) as balance FROM leave_transactions
+        WHERE employee_id = @employee_id AND (@leave_type IS NULL OR leave_type = @leave_type)
+          AND @from IS NOT NULL AND created_at < @from
+        GROUP BY leave_type;
+
+        SELECT * FROM leave_transactions
+        WHERE employee_id = @employee_id AND (@leave_type IS NULL OR leave_type = @leave_type)
+          AND (@from IS NULL OR created_at >= @from)
+          AND (@to IS NULL OR created_at < DATEADD(day, 1, @to))
+        ORDER BY id;
+      `);
+    if (!result.recordsets[0].length) {
+      return res.status(404).json({ error: 'Employee not found' });
     }
 
-    if (updateFields.length === 0) {
-      return res.status(400).json({ error: 'No leave balance fields to update' });
+    const openingBalances = {};
+    for (const row of result.recordsets[1]) openingBalances[row.leave_type] = Number(row.balance);
+    const closingBalances = { ...openingBalances };
+    const entries = result.recordsets[2].map(row => {
+      const days = Number(row.days);
+      closingBalances[row.leave_type] = Number(row.balance_after);
+      return {
+        id: row.id,
+        date: row.created_at,
+        leaveType: row.leave_type,
+        transactionType: row.transaction_type,
+        credit: days > 0 ? days : 0,
+        debit: days < 0 ? -days : 0,
+        balance: Number(row.balance_after),
+        leaveId: row.leave_id,
+        reference: row.reference,
+        remarks: row.remarks,
+        createdBy: row.created_by
+      };
+    });
+    res.json({ success: true, employeeId: req.params.employeeId, openingBalances, entries, closingBalances });
+  } catch (err) {
+    console.error('Error fetching leave ledger:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accepts { balances: { CL: 10, ML: 90 } } and, for the built-in types, the
+// legacy cl_balance / rh_balance / el_balance / sl_balance fields.
+// Each change is posted to the ledger as an adjustment (remarks explains why).
+app.patch('/api/employees/:employeeId/leave-balances', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const leaveTypes = await getLeaveTypes(pool.request(), { includeInactive: true });
+
+    const updates = [];
+    const requested = { ...(req.body.balances || {}) };
+    for (const leaveType of leaveTypes) {
+      if (leaveType.balanceColumn && req.body[leaveType.balanceColumn] !== undefined) {
+        requested[leaveType.code] = req.body[leaveType.balanceColumn];
+      }
+    }
+    for (const [code, value] of Object.entries(requested)) {
+      const leaveType = leaveTypes.find(type => type.code === code.toUpperCase());
+      if (!leaveType) {
+        return res.status(400).json({ error: `Unknown leave type ${code}` });
+      }
+      if (value === null || value === '' || isNaN(value)) {
+        return res.status(400).json({ error: `Balance for ${leaveType.code} must be a number` });
+      }
+      updates.push({ leaveType, value: Number(value) });
     }
 
-    // Add employeeId as last param
-    inputs.push({ name: `param${paramCount}`, type: sql.VarChar, value: employeeId });
-    const setClause = updateFields.join(', ');
-    const query = `
-      UPDATE employees 
-      SET ${setClause} 
-      OUTPUT INSERTED.*
-      WHERE employee_id = @param${paramCount}
-    `;
-    let request = pool.request();
-    for (const inp of inputs) {
-      request = request.input(inp.name, inp.type, inp.value);
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No leave balance fields to update' });
     }
-    const result = await request.query(query);
-    if (!result.recordset.length) {
+    const before = await employeeSnapshot(employeeId);
+    if (!before) {
       return res.status(404).json({ error: 'Employee not found' });
     }
-    res.json(result.recordset[0]);
+    setAuditContext(res, { before: { ...before, balances: await getLeaveBalances(pool.request(), employeeId) } });
+
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      for (const { leaveType, value } of updates) {
+        await postLeaveTransaction(transaction.request(), {
+          employeeId,
+          leaveType,
+          type: 'adjustment',
+          balance: value,
+          remarks: req.body.remarks || 'Manual balance update',
+          createdBy: req.user.employeeId
+        });
+      }
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, employeeId)
+      .query('SELECT * FROM employees WHERE employee_id = @employee_id');
+    res.json({
+      ...sanitizeEmployee(result.recordset[0]),
+      balances: await getLeaveBalances(pool.request(), employeeId)
+    });
   } catch (err) {
     console.error('Error updating employee leave balances:', err);
     res.status(500).json({ error: err.message });
@@ -619,27 +2093,146 @@ app.patch('/api/employees/:employeeId/leave-balances', async (req, res) => {
 });
 
 // Routes
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const loginIpLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20
+});
+
+// Record a login related event (failed, locked, blocked, unlocked)
+async function recordLoginEvent(req, { employeeId = null, loginId = null, type, details = null }) {
+  try {
+    await pool.request()
+      .input('employee_id', sql.VarChar, employeeId)
+      .input('login_id', sql.VarChar, loginId)
+      .input('event_type', sql.VarChar, type)
+      .input('ip_address', sql.VarChar, req.ip)
+      .input('user_agent', sql.VarChar, (req.headers['user-agent'] || '').slice(0, 500))
+      .input('details', sql.VarChar, details)
+      .query(`INSERT INTO login_events (employee_id, login_id, event_type, ip_address, user_agent, details)
+        VALUES (@employee_id, @login_id, @event_type, @ip_address, @user_agent, @details)`);
+  } catch (err) {
+    console.error('Error recording login event:', err);
+  }
+}
+
+// Progressive delay applied to failed logins: 0s for the first two failures, then 1s, 2s, 4s... capped at 8s
+function failedLoginDelay(failures) {
+  return failures < 3 ? 0 : Math.min(1000 * 2 ** (failures - 3), 8000);
+}
+
+// Count a failed login (wrong password or second factor) against the account,
+// locking it once LOGIN_MAX_ATTEMPTS is reached. Returns the failure count.
+async function registerLoginFailure(req, user, loginId, reason) {
+  loginIpLimiter.hit(`login:${req.ip}`);
+  if (!user) {
+    await recordLoginEvent(req, { loginId, type: 'failed', details: 'Unknown or inactive account' });
+    return 0;
+  }
+
+  const update = await pool.request()
+    .input('employee_id', sql.VarChar, user.employee_id)
+    .input('max_attempts', sql.Int, LOGIN_MAX_ATTEMPTS)
+    .input('lockout_minutes', sql.Int, LOGIN_LOCKOUT_MINUTES)
+    .query(`
+      UPDATE employees
+      SET failed_login_attempts = failed_login_attempts + 1,
+          locked_until = CASE WHEN failed_login_attempts + 1 >= @max_attempts
+            THEN DATEADD(MINUTE, @lockout_minutes, GETDATE()) ELSE locked_until END
+      OUTPUT INSERTED.failed_login_attempts, INSERTED.locked_until
+      WHERE employee_id = @employee_id
+    `);
+  const failures = update.recordset[0]?.failed_login_attempts || 0;
+  await recordLoginEvent(req, { employeeId: user.employee_id, loginId, type: 'failed', details: `${reason} (attempt ${failures})` });
+  if (failures >= LOGIN_MAX_ATTEMPTS) {
+    await recordLoginEvent(req, {
+      employeeId: user.employee_id,
+      loginId,
+      type: 'locked',
+      details: `Locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${failures} failed attempts`
+    });
+    console.warn(`🔒 Account ${user.employee_id} locked after ${failures} failed login attempts`);
+  }
+  return failures;
+}
+
+// Returns a 423 response if the account is currently locked
+async function rejectIfLocked(req, res, user, loginId) {
+  if (!user || !user.locked_until || new Date(user.locked_until) <= new Date()) return false;
+  await recordLoginEvent(req, { employeeId: user.employee_id, loginId, type: 'blocked', details: 'Login attempted while account locked' });
+  const retryAfter = Math.ceil((new Date(user.locked_until) - new Date()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(423).json({
+    success: false,
+    message: 'Account is temporarily locked due to repeated failed logins',
+    lockedUntil: user.locked_until
+  });
+  return true;
+}
+
+// Final step of a successful login: clear failure counters and issue tokens
+async function completeLogin(req, res, user) {
+  if (user.failed_login_attempts || user.locked_until) {
+    await pool.request()
+      .input('employee_id', sql.VarChar, user.employee_id)
+      .query('UPDATE employees SET failed_login_attempts = 0, locked_until = NULL WHERE employee_id = @employee_id');
+  }
+  const tokens = await issueTokens(user, await createSession(req, user));
+  res.json({
+    success: true,
+    ...tokens,
+    mustChangePassword: !!user.must_change_password,
+    mfaEnrollmentRequired: requiresMfa(user.role) && !user.mfa_enabled,
+    user: {
+      email: user.email,
+      fullName: user.full_name,
+      employeeId: user.employee_id,
+      role: user.role,
+      designation: user.designation
+    }
+  });
+}
+
 app.post('/api/login', async (req, res) => {
   const { email, employeeId, password } = req.body;
   const loginId = email || employeeId;
+
+  const ipLimit = loginIpLimiter.peek(`login:${req.ip}`);
+  if (!ipLimit.allowed) {
+    res.set('Retry-After', String(ipLimit.retryAfter));
+    return res.status(429).json({ success: false, message: 'Too many failed login attempts, please try again later' });
+  }
+
   try {
     const result = await pool.request()
       .input('loginId', sql.VarChar, loginId)
-      .input('password', sql.VarChar, password)
-      .query(`SELECT * FROM employees WHERE (email = @loginId OR employee_id = @loginId) AND password = @password AND status = 'Active'`);
-    if (result.recordset.length > 0) {
-      const user = result.recordset[0];
-      res.json({
-        success: true,
-        user: {
-          email: user.email,
-          fullName: user.full_name,
-          employeeId: user.employee_id,
-          role: user.role,
-          designation: user.designation
-        }
-      });
+      .query(`SELECT * FROM employees WHERE (email = @loginId OR employee_id = @loginId) AND status = 'Active'`);
+    const user = result.recordset[0];
+
+    if (await rejectIfLocked(req, res, user, loginId)) return;
+
+    if (user && await verifyPassword(password, user.password)) {
+      // Transparently upgrade plaintext (legacy) and outdated hashes
+      if (needsRehash(user.password)) {
+        await pool.request()
+          .input('password', sql.VarChar, await hashPassword(password))
+          .input('employee_id', sql.VarChar, user.employee_id)
+          .query('UPDATE employees SET password = @password WHERE employee_id = @employee_id');
+      }
+      // Accounts with two-factor enabled finish the login at /api/login/mfa
+      if (user.mfa_enabled) {
+        return res.json({
+          success: true,
+          mfaRequired: true,
+          mfaToken: signMfaToken(user)
+        });
+      }
+      await completeLogin(req, res, user);
     } else {
+      const failures = await registerLoginFailure(req, user, loginId, 'Wrong password');
+      const delay = failedLoginDelay(failures);
+      if (delay) await new Promise(resolve => setTimeout(resolve, delay));
       res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
   } catch (err) {
@@ -647,49 +2240,687 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// Add new employee
-app.post('/api/employees', async (req, res) => {
-  const {
-    employee_id, full_name, email, mobile_number,
-    designation, role, joining_date, current_posting,
-    password, status
-  } = req.body;
+// Second login step for accounts with two-factor enabled: TOTP code or recovery code
+app.post('/api/login/mfa', async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+  const payload = verifyToken(mfaToken, 'mfa');
+  if (!payload) {
+    return res.status(401).json({ success: false, message: 'Login session expired, please sign in again' });
+  }
+
+  const ipLimit = loginIpLimiter.peek(`login:${req.ip}`);
+  if (!ipLimit.allowed) {
+    res.set('Retry-After', String(ipLimit.retryAfter));
+    return res.status(429).json({ success: false, message: 'Too many failed login attempts, please try again later' });
+  }
+
   try {
-    if (!designation) {
-      return res.status(400).json({ error: 'Designation is required' });
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, payload.sub)
+      .query(`SELECT * FROM employees WHERE employee_id = @employee_id AND status = 'Active'`);
+    const user = result.recordset[0];
+    if (!user || !user.mfa_enabled) {
+      return res.status(401).json({ success: false, message: 'Login session expired, please sign in again' });
+    }
+    if (await rejectIfLocked(req, res, user, user.employee_id)) return;
+
+    let verified = false;
+    if (recoveryCode) {
+      const used = await pool.request()
+        .input('employee_id', sql.VarChar, user.employee_id)
+        .input('code_hash', sql.VarChar, hashRecoveryCode(recoveryCode))
+        .query(`
+          UPDATE TOP (1) mfa_recovery_codes
+          SET used_at = GETDATE()
+          OUTPUT INSERTED.id
+          WHERE employee_id = @employee_id AND code_hash = @code_hash AND used_at IS NULL
+        `);
+      verified = used.recordset.length > 0;
+    } else {
+      const step = verifyTotp(user.mfa_secret, code);
+      // Each code is accepted only once
+      if (step !== null && (user.mfa_last_step === null || step > Number(user.mfa_last_step))) {
+        await pool.request()
+          .input('employee_id', sql.VarChar, user.employee_id)
+          .input('step', sql.BigInt, step)
+          .query('UPDATE employees SET mfa_last_step = @step WHERE employee_id = @employee_id');
+        verified = true;
+      }
+    }
+
+    if (!verified) {
+      const failures = await registerLoginFailure(req, user, user.employee_id, 'Wrong two-factor code');
+      const delay = failedLoginDelay(failures);
+      if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
     }
+    await completeLogin(req, res, user);
+  } catch (err) {
+    console.error('Error verifying two-factor login:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Store a fresh set of recovery codes (replacing any old ones) and return them in clear text once
+async function replaceRecoveryCodes(request, employeeId) {
+  const codes = generateRecoveryCodes();
+  const values = codes.map((code, i) => `(@employee_id, @code${i})`).join(', ');
+  request.input('employee_id', sql.VarChar, employeeId);
+  codes.forEach((code, i) => request.input(`code${i}`, sql.VarChar, hashRecoveryCode(code)));
+  await request.query(`
+    DELETE FROM mfa_recovery_codes WHERE employee_id = @employee_id;
+    INSERT INTO mfa_recovery_codes (employee_id, code_hash) VALUES ${values};
+  `);
+  return codes;
+}
+
+// Two-factor status of the current user
+app.get('/api/mfa/status', async (req, res) => {
+  try {
     const result = await pool.request()
-      .input('employee_id', sql.VarChar, employee_id)
-      .input('full_name', sql.VarChar, full_name)
-      .input('email', sql.VarChar, email)
-      .input('mobile_number', sql.VarChar, mobile_number)
-      .input('designation', sql.VarChar, designation)
-      .input('role', sql.VarChar, role)
-      .input('joining_date', sql.Date, joining_date)
-      .input('current_posting', sql.VarChar, current_posting)
-      .input('password', sql.VarChar, password)
-      .input('status', sql.VarChar, status)
-      .query(`INSERT INTO employees
-        (employee_id, full_name, email, mobile_number, designation, role, joining_date, current_posting, password, status, cl_balance, rh_balance, el_balance)
-        OUTPUT INSERTED.*
-        VALUES (@employee_id, @full_name, @email, @mobile_number, @designation, @role, @joining_date, @current_posting, @password, @status, 16, 3, 18)`);
-    res.json(result.recordset[0]);
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .query(`
+        SELECT e.mfa_enabled,
+          (SELECT COUNT(*) FROM mfa_recovery_codes c WHERE c.employee_id = e.employee_id AND c.used_at IS NULL) as recovery_codes_left
+        FROM employees e
+        WHERE e.employee_id = @employee_id
+      `);
+    const row = result.recordset[0];
+    res.json({
+      enabled: !!row.mfa_enabled,
+      required: requiresMfa(req.user.role),
+      recoveryCodesLeft: row.recovery_codes_left
+    });
   } catch (err) {
+    console.error('Error fetching two-factor status:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all employees
-app.get('/api/employees', async (req, res) => {
+// Start two-factor enrollment: generates a secret and the provisioning URI for the QR code
+app.post('/api/mfa/enroll', async (req, res) => {
   try {
-    const { employee_id } = req.query;
-    if (employee_id) {
-      const result = await pool.request()
-        .input('employee_id', sql.VarChar, employee_id)
-        .query('SELECT * FROM employees WHERE employee_id = @employee_id');
-      return res.json(result.recordset);
+    const secret = generateSecret();
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .input('secret', sql.VarChar, secret)
+      .query(`
+        UPDATE employees SET mfa_secret = @secret, mfa_last_step = NULL
+        OUTPUT INSERTED.employee_id
+        WHERE employee_id = @employee_id AND mfa_enabled = 0
+      `);
+    if (!result.recordset.length) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
     }
-    const result = await pool.request().query(`
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: provisioningUri(secret, req.user.email || req.user.employeeId)
+    });
+  } catch (err) {
+    console.error('Error starting two-factor enrollment:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app; returns recovery codes once
+app.post('/api/mfa/verify', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .query('SELECT mfa_secret, mfa_enabled FROM employees WHERE employee_id = @employee_id');
+    const row = result.recordset[0];
+    if (!row.mfa_secret || row.mfa_enabled) {
+      return res.status(400).json({ error: 'No pending two-factor enrollment' });
+    }
+    const step = verifyTotp(row.mfa_secret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const transaction = new sql.Transaction(pool);
+    let recoveryCodes;
+    await transaction.begin();
+    try {
+      await transaction.request()
+        .input('employee_id', sql.VarChar, req.user.employeeId)
+        .input('step', sql.BigInt, step)
+        .query('UPDATE employees SET mfa_enabled = 1, mfa_last_step = @step WHERE employee_id = @employee_id');
+      recoveryCodes = await replaceRecoveryCodes(transaction.request(), req.user.employeeId);
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (err) {
+    console.error('Error verifying two-factor enrollment:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Checks a TOTP code for the current user (used to confirm sensitive MFA changes)
+async function verifyCurrentUserTotp(employeeId, code) {
+  const result = await pool.request()
+    .input('employee_id', sql.VarChar, employeeId)
+    .query('SELECT mfa_secret, mfa_enabled FROM employees WHERE employee_id = @employee_id');
+  const row = result.recordset[0];
+  return !!(row && row.mfa_enabled && verifyTotp(row.mfa_secret, code) !== null);
+}
+
+// Generate a new set of recovery codes (invalidates the old ones)
+app.post('/api/mfa/recovery-codes', async (req, res) => {
+  try {
+    if (!(await verifyCurrentUserTotp(req.user.employeeId, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    const recoveryCodes = await replaceRecoveryCodes(pool.request(), req.user.employeeId);
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error('Error regenerating recovery codes:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Turn two-factor authentication off for the current user
+app.delete('/api/mfa', async (req, res) => {
+  try {
+    if (requiresMfa(req.user.role)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for your role' });
+    }
+    if (!(await verifyCurrentUserTotp(req.user.employeeId, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    await pool.request()
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .query(`
+        UPDATE employees SET mfa_enabled = 0, mfa_secret = NULL, mfa_last_step = NULL WHERE employee_id = @employee_id;
+        DELETE FROM mfa_recovery_codes WHERE employee_id = @employee_id;
+      `);
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('Error disabling two-factor authentication:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reset two-factor for an employee who lost their device (HR/admin); they re-enroll on next login
+app.post('/api/employees/:employeeId/mfa/reset', authorize(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, employeeId)
+      .query(`
+        UPDATE employees SET mfa_enabled = 0, mfa_secret = NULL, mfa_last_step = NULL
+        OUTPUT INSERTED.employee_id
+        WHERE employee_id = @employee_id;
+        DELETE FROM mfa_recovery_codes WHERE employee_id = @employee_id;
+      `);
+    if (!result.recordset.length) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+    await recordLoginEvent(req, { employeeId, type: 'mfa_reset', details: `Two-factor reset by ${req.user.employeeId}` });
+    res.json({ success: true, message: 'Two-factor authentication reset' });
+  } catch (err) {
+    console.error('Error resetting two-factor authentication:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Unlock an account locked by failed logins (HR/admin)
+app.post('/api/employees/:employeeId/unlock', authorize(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, employeeId)
+      .query(`
+        UPDATE employees
+        SET failed_login_attempts = 0, locked_until = NULL
+        OUTPUT INSERTED.employee_id
+        WHERE employee_id = @employee_id
+      `);
+    if (!result.recordset.length) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+    await recordLoginEvent(req, { employeeId, type: 'unlocked', details: `Unlocked by ${req.user.employeeId}` });
+    res.json({ success: true, message: 'Account unlocked successfully' });
+  } catch (err) {
+    console.error('Error unlocking account:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// List login events (failed attempts, lockouts) for HR/admin
+app.get('/api/security/login-events', authorize(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const { employee_id, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const conditions = [];
+    const request = pool.request().input('limit', sql.Int, limit);
+    if (employee_id) {
+      conditions.push('employee_id = @employee_id');
+      request.input('employee_id', sql.VarChar, employee_id);
+    }
+    if (type) {
+      conditions.push('event_type = @type');
+      request.input('type', sql.VarChar, type);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await request.query(`
+      SELECT TOP (@limit) * FROM login_events
+      ${where}
+      ORDER BY created_at DESC
+    `);
+    res.json(result.recordset);
+  } catch (err) {
+    console.error('Error fetching login events:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+app.post('/api/token/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  const payload = verifyToken(refreshToken, 'refresh');
+  if (!payload) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+  }
+  try {
+    const revoked = await pool.request()
+      .input('jti', sql.VarChar, payload.jti)
+      .input('employee_id', sql.VarChar, payload.sub)
+      .query(`
+        UPDATE refresh_tokens
+        SET revoked_at = GETDATE()
+        OUTPUT INSERTED.session_id
+        WHERE jti = @jti AND employee_id = @employee_id
+          AND revoked_at IS NULL AND expires_at > GETDATE()
+      `);
+    if (!revoked.recordset.length || !revoked.recordset[0].session_id) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    // The session must still be open and within the idle timeout
+    const sessionId = revoked.recordset[0].session_id;
+    const session = await pool.request()
+      .input('id', sql.VarChar, sessionId)
+      .query(`SELECT revoked_at, DATEDIFF(SECOND, last_seen_at, GETDATE()) as idle_seconds FROM user_sessions WHERE id = @id`);
+    const sessionRow = session.recordset[0];
+    if (!sessionRow || sessionRow.revoked_at) {
+      return res.status(401).json({ success: false, message: 'Session has ended, please sign in again', code: 'SESSION_EXPIRED' });
+    }
+    if (sessionRow.idle_seconds > SESSION_IDLE_TIMEOUT_MINUTES * 60) {
+      await revokeSessions(pool.request(), { employeeId: payload.sub, sessionId, reason: 'idle_timeout' });
+      return res.status(401).json({ success: false, message: 'Session timed out due to inactivity', code: 'SESSION_EXPIRED' });
+    }
+
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, payload.sub)
+      .query(`SELECT * FROM employees WHERE employee_id = @employee_id AND status = 'Active'`);
+    if (!result.recordset.length) {
+      return res.status(401).json({ success: false, message: 'Account is not active' });
+    }
+
+    await touchSession(sessionId);
+    const tokens = await issueTokens(result.recordset[0], sessionId);
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    console.error('Error refreshing token:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// End the current session, or every session of the user with { all: true }
+app.post('/api/logout', async (req, res) => {
+  try {
+    await revokeSessions(pool.request(), {
+      employeeId: req.user.employeeId,
+      sessionId: req.body.all ? null : req.user.sessionId,
+      reason: 'logout'
+    });
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// List the current user's active sessions
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .input('idle_minutes', sql.Int, SESSION_IDLE_TIMEOUT_MINUTES)
+      .query(`
+        SELECT id, device, user_agent, ip_address, created_at, last_seen_at
+        FROM user_sessions
+        WHERE employee_id = @employee_id AND revoked_at IS NULL
+          AND last_seen_at > DATEADD(MINUTE, -@idle_minutes, GETDATE())
+        ORDER BY last_seen_at DESC
+      `);
+    res.json(result.recordset.map(session => ({
+      id: session.id,
+      device: session.device,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastSeenAt: session.last_seen_at,
+      current: session.id === req.user.sessionId
+    })));
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke one of the current user's sessions
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool.request(), {
+      employeeId: req.user.employeeId,
+      sessionId: req.params.sessionId,
+      reason: 'revoked_by_user'
+    });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke all of the current user's other sessions
+app.delete('/api/sessions', async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool.request(), {
+      employeeId: req.user.employeeId,
+      exceptSessionId: req.user.sessionId,
+      reason: 'revoked_by_user'
+    });
+    res.json({ success: true, message: `${revoked} other session(s) revoked` });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign an employee out everywhere (HR/admin)
+app.post('/api/employees/:employeeId/sessions/revoke', authorize(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool.request(), {
+      employeeId: req.params.employeeId,
+      reason: 'revoked_by_admin'
+    });
+    res.json({ success: true, message: `${revoked} session(s) revoked` });
+  } catch (err) {
+    console.error('Error revoking employee sessions:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+const { createTransport } = require('./messaging');
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_REQUESTS_PER_HOUR = 3;
+const messageTransport = createTransport();
+const passwordResetIpLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+
+function hashOtp(employeeId, otp) {
+  return crypto.createHash('sha256').update(`${employeeId}:${otp}`).digest('hex');
+}
+
+// Request a one-time code to reset a forgotten password
+app.post('/api/password/forgot', async (req, res) => {
+  const { loginId, channel = 'email' } = req.body;
+  const genericResponse = {
+    success: true,
+    message: 'If the account exists, a reset code has been sent'
+  };
+  if (!loginId) {
+    return res.status(400).json({ success: false, message: 'Email or Employee ID is required' });
+  }
+  if (!['email', 'sms'].includes(channel)) {
+    return res.status(400).json({ success: false, message: 'Channel must be email or sms' });
+  }
+  const limit = passwordResetIpLimiter.hit(`forgot:${req.ip}`);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({ success: false, message: 'Too many requests, please try again later' });
+  }
+
+  try {
+    const result = await pool.request()
+      .input('loginId', sql.VarChar, loginId)
+      .query(`SELECT employee_id, email, mobile_number FROM employees WHERE (email = @loginId OR employee_id = @loginId) AND status = 'Active'`);
+    const employee = result.recordset[0];
+    const destination = employee && (channel === 'sms' ? employee.mobile_number : employee.email);
+    if (!destination) {
+      return res.json(genericResponse);
+    }
+
+    // Per-account limit, checked against the codes issued in the last hour
+    const recent = await pool.request()
+      .input('employee_id', sql.VarChar, employee.employee_id)
+      .query('SELECT COUNT(*) as count FROM password_reset_tokens WHERE employee_id = @employee_id AND created_at > DATEADD(HOUR, -1, GETDATE())');
+    if (parseInt(recent.recordset[0].count) >= OTP_REQUESTS_PER_HOUR) {
+      console.warn(`⚠️ Password reset rate limit reached for ${employee.employee_id}`);
+      return res.json(genericResponse);
+    }
+
+    const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      // Any earlier unused code stops working once a new one is issued
+      await transaction.request()
+        .input('employee_id', sql.VarChar, employee.employee_id)
+        .query('UPDATE password_reset_tokens SET used_at = GETDATE() WHERE employee_id = @employee_id AND used_at IS NULL');
+      await transaction.request()
+        .input('employee_id', sql.VarChar, employee.employee_id)
+        .input('otp_hash', sql.VarChar, hashOtp(employee.employee_id, otp))
+        .input('channel', sql.VarChar, channel)
+        .input('expires_at', sql.DateTime, new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000))
+        .input('request_ip', sql.VarChar, req.ip)
+        .query(`INSERT INTO password_reset_tokens (employee_id, otp_hash, channel, expires_at, request_ip)
+          VALUES (@employee_id, @otp_hash, @channel, @expires_at, @request_ip)`);
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    await messageTransport.send({
+      channel,
+      to: destination,
+      subject: 'BUIDCO password reset code',
+      text: `Your BUIDCO password reset code is ${otp}. It expires in ${OTP_TTL_MINUTES} minutes. If you did not request this, please contact HR.`
+    });
+    res.json(genericResponse);
+  } catch (err) {
+    console.error('Error in forgot password:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Reset a forgotten password using the one-time code
+app.post('/api/password/reset', async (req, res) => {
+  const { loginId, otp, newPassword } = req.body;
+  if (!loginId || !otp || !newPassword) {
+    return res.status(400).json({ success: false, message: 'Email or Employee ID, code and new password are required' });
+  }
+  const limit = passwordResetIpLimiter.hit(`reset:${req.ip}`);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({ success: false, message: 'Too many requests, please try again later' });
+  }
+  const passwordErrors = validatePassword(newPassword);
+  if (passwordErrors.length) {
+    return res.status(400).json({ success: false, message: passwordErrors[0], details: passwordErrors });
+  }
+
+  const invalidCode = { success: false, message: 'Invalid or expired reset code' };
+  try {
+    const tokenResult = await pool.request()
+      .input('loginId', sql.VarChar, loginId)
+      .query(`
+        SELECT TOP 1 t.id, t.employee_id, t.otp_hash, t.attempts
+        FROM password_reset_tokens t
+        JOIN employees e ON t.employee_id = e.employee_id
+        WHERE (e.email = @loginId OR e.employee_id = @loginId) AND e.status = 'Active'
+          AND t.used_at IS NULL AND t.expires_at > GETDATE()
+        ORDER BY t.created_at DESC
+      `);
+    const token = tokenResult.recordset[0];
+    if (!token || token.attempts >= OTP_MAX_ATTEMPTS) {
+      return res.status(400).json(invalidCode);
+    }
+
+    const expected = Buffer.from(token.otp_hash);
+    const actual = Buffer.from(hashOtp(token.employee_id, String(otp).trim()));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      await pool.request()
+        .input('id', sql.Int, token.id)
+        .query('UPDATE password_reset_tokens SET attempts = attempts + 1 WHERE id = @id');
+      return res.status(400).json(invalidCode);
+    }
+
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      // Mark the code used first so a concurrent request cannot reuse it
+      const consumed = await transaction.request()
+        .input('id', sql.Int, token.id)
+        .query('UPDATE password_reset_tokens SET used_at = GETDATE() OUTPUT INSERTED.id WHERE id = @id AND used_at IS NULL');
+      if (!consumed.recordset.length) {
+        await transaction.rollback();
+        return res.status(400).json(invalidCode);
+      }
+      await transaction.request()
+        .input('password', sql.VarChar, await hashPassword(newPassword))
+        .input('employee_id', sql.VarChar, token.employee_id)
+        .query('UPDATE employees SET password = @password, must_change_password = 0 WHERE employee_id = @employee_id');
+      // Sign out every existing session
+      await revokeSessions(transaction.request(), { employeeId: token.employee_id, reason: 'password_reset' });
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    res.json({ success: true, message: 'Password has been reset successfully' });
+  } catch (err) {
+    console.error('Error in reset password:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Add new employee
+app.post('/api/employees', authorize(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
+  const {
+    employee_id, full_name, email, mobile_number,
+    designation, role, joining_date, current_posting,
+    password, status, reports_to
+  } = req.body;
+  try {
+    if (!designation) {
+      return res.status(400).json({ error: 'Designation is required' });
+    }
+    if (role !== undefined) {
+      const roleError = validateRole(role);
+      if (roleError) {
+        return res.status(400).json({ error: roleError });
+      }
+      if (!canAssignRole(req.user, role)) {
+        return denyAccess(req, res, PERMISSIONS.ROLES_ASSIGN);
+      }
+    }
+    const reportsToError = await validateReportsTo(employee_id, reports_to);
+    if (reportsToError) {
+      return res.status(400).json({ error: reportsToError });
+    }
+    const passwordErrors = validatePassword(password);
+    if (passwordErrors.length) {
+      return res.status(400).json({ error: passwordErrors[0], details: passwordErrors });
+    }
+    const hashedPassword = await hashPassword(password);
+    const leaveTypes = await getLeaveTypes(pool.request());
+
+    // Opening balances come from each leave type's policy
+    const transaction = new sql.Transaction(pool);
+    let employee;
+    await transaction.begin();
+    try {
+      await transaction.request()
+        .input('employee_id', sql.VarChar, employee_id)
+        .input('full_name', sql.VarChar, full_name)
+        .input('email', sql.VarChar, email)
+        .input('mobile_number', sql.VarChar, mobile_number)
+        .input('designation', sql.VarChar, designation)
+        .input('role', sql.VarChar, role === undefined ? null : normalizeRole(role))
+        .input('joining_date', sql.Date, joining_date)
+        .input('current_posting', sql.VarChar, current_posting)
+        .input('password', sql.VarChar, hashedPassword)
+        .input('status', sql.VarChar, status)
+        .input('reports_to', sql.VarChar, reports_to || null)
+        .query(`INSERT INTO employees
+          (employee_id, full_name, email, mobile_number, designation, role, joining_date, current_posting, password, status, reports_to)
+          VALUES (@employee_id, @full_name, @email, @mobile_number, @designation, @role, @joining_date, @current_posting, @password, @status, @reports_to)`);
+      for (const leaveType of leaveTypes) {
+        // The credit for the current accrual period is the opening balance
+        const current = accrualPeriodOn(leaveType.policy.accrual, new Date());
+        const opening = creditForPeriod(leaveType.policy, joining_date, current) || 0;
+        if (opening) {
+          const full = creditForPeriod(leaveType.policy, null, current);
+          const reason = `Opening ${leaveType.code} balance for ${current.period}${opening < full ? ` (pro-rated from joining date ${toDateKey(joining_date)})` : ''}`;
+          await recordLeaveCredit(transaction.request(), {
+            employeeId: employee_id, leaveType, period: current.period, days: opening, reason
+          });
+          await postLeaveTransaction(transaction.request(), {
+            employeeId: employee_id,
+            leaveType,
+            type: 'credit',
+            days: opening,
+            reference: current.period,
+            remarks: reason,
+            createdBy: req.user.employeeId
+          });
+        }
+      }
+      const result = await transaction.request()
+        .input('employee_id', sql.VarChar, employee_id)
+        .query('SELECT * FROM employees WHERE employee_id = @employee_id');
+      employee = result.recordset[0];
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+    res.json(sanitizeEmployee(employee));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all employees
+app.get('/api/employees', authorizeOwner(req => req.query.employee_id, PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  try {
+    const { employee_id } = req.query;
+    if (employee_id) {
+      const result = await pool.request()
+        .input('employee_id', sql.VarChar, employee_id)
+        .query('SELECT * FROM employees WHERE employee_id = @employee_id');
+      return res.json(result.recordset.map(sanitizeEmployee));
+    }
+    const result = await pool.request().query(`
       SELECT 
         ROW_NUMBER() OVER (ORDER BY employee_id) as id,
         employee_id, 
@@ -701,10 +2932,12 @@ app.get('/api/employees', async (req, res) => {
         joining_date, 
         current_posting, 
         status, 
+        reports_to,
         profile_photo,
         cl_balance, 
         rh_balance, 
         el_balance,
+        sl_balance,
         created_at,
         updated_at
       FROM employees 
@@ -713,631 +2946,3628 @@ app.get('/api/employees', async (req, res) => {
     res.setHeader('Content-Type', 'application/json');
     res.json(result.recordset);
   } catch (err) {
-    res.status(500).json({ 
-      error: err.message,
-      endpoint: '/api/employees',
-      timestamp: new Date().toISOString()
-    });
+    res.status(500).json({ 
+      error: err.message,
+      endpoint: '/api/employees',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Approval chains
+// A leave goes through the steps of the most specific matching chain
+// (type-specific before generic, higher min_days first). Without a match the
+// employee's reporting manager approves, or HR when there is no manager.
+const DEFAULT_APPROVAL_STEPS = ['manager'];
+
+async function resolveApprovalSteps(request, employeeId, leaveType, days) {
+  const result = await request
+    .input('employee_id', sql.VarChar, employeeId)
+    .input('leave_type', sql.VarChar, leaveType)
+    .input('days', sql.Decimal(5, 1), days)
+    .query(`
+      SELECT
+        (SELECT reports_to FROM employees WHERE employee_id = @employee_id) as reports_to,
+        (SELECT TOP 1 steps FROM approval_chains
+          WHERE (leave_type IS NULL OR leave_type = @leave_type)
+            AND (min_days IS NULL OR @days >= min_days)
+          ORDER BY CASE WHEN leave_type IS NULL THEN 1 ELSE 0 END, ISNULL(min_days, 0) DESC, id DESC) as steps
+    `);
+  const { reports_to: managerId, steps } = result.recordset[0];
+  const chain = steps ? steps.split(',').map(step => step.trim().toLowerCase()).filter(Boolean) : DEFAULT_APPROVAL_STEPS;
+
+  // A manager step is skipped when the employee has no reporting manager
+  const resolved = chain
+    .filter(step => step !== 'manager' || managerId)
+    .map(step => ({ approverType: step, approverId: step === 'manager' ? managerId : null }));
+  return resolved.length ? resolved : [{ approverType: 'hr', approverId: null }];
+}
+
+async function createApprovalSteps(transaction, leaveId, steps) {
+  for (const [index, step] of steps.entries()) {
+    await transaction.request()
+      .input('leave_id', sql.Int, leaveId)
+      .input('step_no', sql.Int, index + 1)
+      .input('approver_type', sql.VarChar, step.approverType)
+      .input('approver_id', sql.VarChar, step.approverId)
+      .query(`INSERT INTO leave_approvals (leave_id, step_no, approver_type, approver_id)
+        VALUES (@leave_id, @step_no, @approver_type, @approver_id)`);
+  }
+  await transaction.request()
+    .input('leave_id', sql.Int, leaveId)
+    .query('UPDATE leaves SET current_step = 1 WHERE id = @leave_id');
+}
+
+// Manager steps belong to one employee, role steps to everyone with that role.
+// Admins can act on any step.
+function canActOnApprovalStep(user, step) {
+  const role = normalizeRole(user.role);
+  if (role === 'admin') return true;
+  if (step.approver_type === 'manager') {
+    return (step.approver_id || '').toLowerCase() === user.employeeId.toLowerCase();
+  }
+  return role === step.approver_type;
+}
+
+// Manager steps notify the manager directly, role steps go to the global (admin/HR) inbox
+function approverNotificationTarget(step) {
+  return step.approver_type === 'manager' ? step.approver_id : null;
+}
+
+// Approval delegation
+// Delegations of the given delegate that are in force today, with the
+// delegator's role so their authority can be checked
+async function getActiveDelegations(request, delegateId = null) {
+  const result = await request
+    .input('delegate_id', sql.VarChar, delegateId)
+    .query(`
+      SELECT d.*, e.role as delegator_role, e.full_name as delegator_name
+      FROM approval_delegations d
+      JOIN employees e ON e.employee_id = d.delegator_id
+      WHERE d.status = 'Active'
+        AND d.start_date <= CAST(GETDATE() AS DATE) AND d.end_date >= CAST(GETDATE() AS DATE)
+        AND (@delegate_id IS NULL OR d.delegate_id = @delegate_id)
+    `);
+  return result.recordset;
+}
+
+// Whether user may act on an approval step (or, for a leave without steps, approve
+// at all), in their own right or for someone who delegated to them.
+// Returns { onBehalfOf, onBehalfOfName } (onBehalfOf null for their own authority) or null.
+function resolveApprovalAuthority(user, step, delegations = []) {
+  const canAct = actor => (step ? canActOnApprovalStep(actor, step) : hasPermission(actor.role, PERMISSIONS.LEAVES_APPROVE));
+  if (canAct(user)) return { onBehalfOf: null, onBehalfOfName: null };
+  const delegation = delegations.find(d => d.delegate_id.toLowerCase() === user.employeeId.toLowerCase() &&
+    canAct({ employeeId: d.delegator_id, role: d.delegator_role }));
+  return delegation ? { onBehalfOf: delegation.delegator_id, onBehalfOfName: delegation.delegator_name } : null;
+}
+
+// "Asha Rao" or "Asha Rao on behalf of Vikram Singh"
+function approvalActorName(user, authority) {
+  return authority && authority.onBehalfOf
+    ? `${user.fullName} on behalf of ${authority.onBehalfOfName || authority.onBehalfOf}`
+    : user.fullName;
+}
+
+// Sends a copy of an approver notification to everyone currently acting for that approver
+async function notifyApprovalDelegates(runner, step, { type, message, senderId, senderName }) {
+  const delegations = await getActiveDelegations(runner.request());
+  const delegates = new Set(delegations
+    .filter(d => canActOnApprovalStep({ employeeId: d.delegator_id, role: d.delegator_role }, step))
+    .map(d => d.delegate_id));
+  for (const delegateId of delegates) {
+    await runner.request()
+      .input('type', sql.VarChar, type)
+      .input('message', sql.VarChar, message)
+      .input('user_id', sql.VarChar, delegateId)
+      .input('sender_id', sql.VarChar, senderId)
+      .input('sender_name', sql.VarChar, senderName)
+      .query(`INSERT INTO notifications (type, message, user_id, sender_id, sender_name, created_at)
+        VALUES (@type, @message, @user_id, @sender_id, @sender_name, GETDATE())`);
+  }
+}
+
+// Get the approval steps of a leave
+async function getApprovalSteps(request, leaveId) {
+  const result = await request
+    .input('leave_id', sql.Int, leaveId)
+    .query('SELECT * FROM leave_approvals WHERE leave_id = @leave_id ORDER BY step_no');
+  return result.recordset;
+}
+
+// Returns an error message if managerId cannot be the reporting manager of employeeId.
+// An empty value clears the manager.
+const MAX_REPORTING_DEPTH = 20;
+
+async function validateReportsTo(employeeId, managerId) {
+  if (!managerId) return null;
+  if (employeeId && managerId.toLowerCase() === employeeId.toLowerCase()) {
+    return 'An employee cannot report to themselves';
+  }
+  // Walk up the manager's chain to make sure employeeId is not already above them
+  let current = managerId;
+  for (let depth = 0; current && depth < MAX_REPORTING_DEPTH; depth++) {
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, current)
+      .query('SELECT employee_id, reports_to FROM employees WHERE employee_id = @employee_id');
+    if (!result.recordset.length) {
+      return depth === 0 ? `Reporting manager ${managerId} not found` : null;
+    }
+    current = result.recordset[0].reports_to;
+    if (current && employeeId && current.toLowerCase() === employeeId.toLowerCase()) {
+      return `${managerId} already reports to ${employeeId}`;
+    }
+  }
+  return current ? 'Reporting hierarchy is too deep' : null;
+}
+
+// Roles that can be stored on an employee; returns an error message for anything else
+function validateRole(role) {
+  return ROLES[normalizeRole(role)] ? null : `role must be one of ${Object.keys(ROLES).join(', ')}`;
+}
+
+// Whether user may give an account role (replacing currentRole). Without
+// roles:assign only roles whose permissions the user holds themselves can be
+// given or taken away, and never on their own account.
+function canAssignRole(user, role, { currentRole = null, employeeId = null } = {}) {
+  if (hasPermission(user.role, PERMISSIONS.ROLES_ASSIGN)) return true;
+  if (employeeId && employeeId.toLowerCase() === user.employeeId.toLowerCase()) return false;
+  const held = permissionsFor(user.role);
+  return [role, currentRole].filter(Boolean)
+    .every(name => [...permissionsFor(name)].every(permission => held.has(permission)));
+}
+
+function formatApprovalChain(chain) {
+  return {
+    id: chain.id,
+    leaveType: chain.leave_type,
+    minDays: chain.min_days,
+    steps: chain.steps.split(','),
+    createdAt: chain.created_at
+  };
+}
+
+// List approval chains
+app.get('/api/approval-chains', authorize(PERMISSIONS.APPROVALS_CONFIGURE), async (req, res) => {
+  try {
+    const result = await pool.request().query('SELECT * FROM approval_chains ORDER BY leave_type, min_days');
+    res.json({ success: true, defaultSteps: DEFAULT_APPROVAL_STEPS, chains: result.recordset.map(formatApprovalChain) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create an approval chain, e.g. { leaveType: 'EL', minDays: 10, steps: ['manager', 'hr'] }
+app.post('/api/approval-chains', authorize(PERMISSIONS.APPROVALS_CONFIGURE), async (req, res) => {
+  try {
+    const { leaveType, minDays } = req.body;
+    const steps = (Array.isArray(req.body.steps) ? req.body.steps : String(req.body.steps || '').split(','))
+      .map(step => String(step).trim().toLowerCase())
+      .filter(Boolean);
+    if (!steps.length) {
+      return res.status(400).json({ error: 'At least one approval step is required' });
+    }
+    const invalid = steps.filter(step => step !== 'manager' && !ROLES[step]);
+    if (invalid.length) {
+      return res.status(400).json({ error: `Unknown approval steps: ${invalid.join(', ')}`, allowed: ['manager', ...Object.keys(ROLES)] });
+    }
+    if (minDays !== undefined && minDays !== null && (isNaN(minDays) || Number(minDays) < 0)) {
+      return res.status(400).json({ error: 'minDays must be a non-negative number' });
+    }
+
+    const result = await pool.request()
+      .input('leave_type', sql.VarChar, leaveType || null)
+      .input('min_days', sql.Decimal(5, 1), minDays ?? null)
+      .input('steps', sql.VarChar, steps.join(','))
+      .query(`INSERT INTO approval_chains (leave_type, min_days, steps)
+        OUTPUT INSERTED.*
+        VALUES (@leave_type, @min_days, @steps)`);
+    res.json({ success: true, chain: formatApprovalChain(result.recordset[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete an approval chain (leaves already in progress keep their steps)
+app.delete('/api/approval-chains/:id', authorize(PERMISSIONS.APPROVALS_CONFIGURE), async (req, res) => {
+  try {
+    const result = await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .query('DELETE FROM approval_chains OUTPUT DELETED.* WHERE id = @id');
+    if (!result.recordset.length) {
+      return res.status(404).json({ error: 'Approval chain not found' });
+    }
+    setAuditContext(res, { before: result.recordset[0], after: null });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Leaves waiting on the current user's approval
+// Leaves whose current step the given approver ({ employeeId, role }) can act on
+async function getPendingApprovals(request, approver) {
+  const role = normalizeRole(approver.role);
+  const result = await request
+    .input('user_id', sql.VarChar, approver.employeeId)
+    .input('role', sql.VarChar, role)
+    .input('is_admin', sql.Bit, role === 'admin')
+    .query(`
+      SELECT l.*, a.step_no, a.approver_type, a.approver_id
+      FROM leaves l
+      JOIN leave_approvals a ON a.leave_id = l.id AND a.step_no = l.current_step
+      WHERE l.status = 'Pending' AND a.status = 'Pending'
+        AND l.employee_id <> @user_id
+        AND (@is_admin = 1
+          OR (a.approver_type = 'manager' AND a.approver_id = @user_id)
+          OR (a.approver_type <> 'manager' AND a.approver_type = @role))
+      ORDER BY l.applied_on
+    `);
+  return result.recordset;
+}
+
+// Includes the requests of anyone who delegated their approvals to the current
+// user (marked with onBehalfOf)
+app.get('/api/approvals/pending', async (req, res) => {
+  try {
+    const leaves = await getPendingApprovals(pool.request(), req.user);
+    const seen = new Set(leaves.map(leave => leave.id));
+    for (const delegation of await getActiveDelegations(pool.request(), req.user.employeeId)) {
+      const delegated = await getPendingApprovals(pool.request(), { employeeId: delegation.delegator_id, role: delegation.delegator_role });
+      for (const leave of delegated) {
+        if (seen.has(leave.id) || leave.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()) continue;
+        seen.add(leave.id);
+        leaves.push({ ...leave, onBehalfOf: delegation.delegator_id, onBehalfOfName: delegation.delegator_name });
+      }
+    }
+    leaves.sort((a, b) => new Date(a.applied_on) - new Date(b.applied_on));
+    res.json({ success: true, count: leaves.length, leaves });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function formatDelegation(row) {
+  return {
+    id: row.id,
+    delegatorId: row.delegator_id,
+    delegatorName: row.delegator_name || null,
+    delegateId: row.delegate_id,
+    delegateName: row.delegate_name || null,
+    startDate: toDateKey(row.start_date),
+    endDate: toDateKey(row.end_date),
+    reason: row.reason,
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    endedAt: row.ended_at
+  };
+}
+
+const DELEGATION_SELECT = `
+  SELECT d.*, dr.full_name as delegator_name, de.full_name as delegate_name
+  FROM approval_delegations d
+  LEFT JOIN employees dr ON dr.employee_id = d.delegator_id
+  LEFT JOIN employees de ON de.employee_id = d.delegate_id`;
+
+// Delegate approval authority for a date range:
+// { delegateId, startDate, endDate, reason }. HR can set delegatorId to
+// delegate on behalf of an approver who is already away.
+app.post('/api/approval-delegations', authorize(PERMISSIONS.LEAVES_APPROVE), async (req, res) => {
+  try {
+    const { delegateId, startDate, endDate, reason } = req.body;
+    const delegatorId = req.body.delegatorId || req.user.employeeId;
+    if (delegatorId.toLowerCase() !== req.user.employeeId.toLowerCase() && !hasPermission(req.user.role, PERMISSIONS.APPROVALS_CONFIGURE)) {
+      return denyAccess(req, res, PERMISSIONS.APPROVALS_CONFIGURE);
+    }
+
+    const fieldErrors = {};
+    if (!delegateId) fieldErrors.delegateId = 'Delegate is required';
+    else if (delegateId.toLowerCase() === delegatorId.toLowerCase()) fieldErrors.delegateId = 'Approvals cannot be delegated to yourself';
+    if (!startDate || isNaN(new Date(startDate))) fieldErrors.startDate = 'A valid start date is required';
+    if (!endDate || isNaN(new Date(endDate))) {
+      fieldErrors.endDate = 'A valid end date is required';
+    } else if (toDateKey(endDate) < localDateKey()) {
+      fieldErrors.endDate = 'End date cannot be in the past';
+    } else if (!fieldErrors.startDate && toDateKey(endDate) < toDateKey(startDate)) {
+      fieldErrors.endDate = 'End date cannot be before start date';
+    }
+    if (Object.keys(fieldErrors).length) {
+      return validationErrorResponse(res, fieldErrors);
+    }
+
+    const people = await pool.request()
+      .input('delegator_id', sql.VarChar, delegatorId)
+      .input('delegate_id', sql.VarChar, delegateId)
+      .query('SELECT employee_id, role FROM employees WHERE employee_id IN (@delegator_id, @delegate_id)');
+    const delegator = people.recordset.find(row => row.employee_id.toLowerCase() === delegatorId.toLowerCase());
+    if (!delegator) {
+      return res.status(404).json({ error: 'Delegator not found' });
+    }
+    if (!people.recordset.some(row => row.employee_id.toLowerCase() === delegateId.toLowerCase())) {
+      return validationErrorResponse(res, { delegateId: 'Delegate not found' });
+    }
+    if (!hasPermission(delegator.role, PERMISSIONS.LEAVES_APPROVE)) {
+      return res.status(400).json({ error: 'Only approvers can delegate their approvals' });
+    }
+
+    // One delegation per approver at a time, and no chains of delegation
+    const overlapping = await pool.request()
+      .input('delegator_id', sql.VarChar, delegatorId)
+      .input('delegate_id', sql.VarChar, delegateId)
+      .input('start_date', sql.Date, startDate)
+      .input('end_date', sql.Date, endDate)
+      .query(`${DELEGATION_SELECT}
+        WHERE d.status = 'Active' AND d.start_date <= @end_date AND d.end_date >= @start_date
+          AND (d.delegator_id IN (@delegator_id, @delegate_id) OR d.delegate_id = @delegator_id)`);
+    if (overlapping.recordset.length) {
+      return res.status(409).json({
+        error: 'An overlapping delegation already exists for the delegator or the delegate',
+        code: 'DELEGATION_OVERLAP',
+        conflicts: overlapping.recordset.map(formatDelegation)
+      });
+    }
+
+    const result = await pool.request()
+      .input('delegator_id', sql.VarChar, delegator.employee_id)
+      .input('delegate_id', sql.VarChar, delegateId)
+      .input('start_date', sql.Date, startDate)
+      .input('end_date', sql.Date, endDate)
+      .input('reason', sql.NVarChar, reason || null)
+      .input('created_by', sql.VarChar, req.user.employeeId)
+      .query(`INSERT INTO approval_delegations (delegator_id, delegate_id, start_date, end_date, reason, created_by)
+        OUTPUT INSERTED.id
+        VALUES (@delegator_id, @delegate_id, @start_date, @end_date, @reason, @created_by)`);
+    const created = await pool.request()
+      .input('id', sql.Int, result.recordset[0].id)
+      .query(`${DELEGATION_SELECT} WHERE d.id = @id`);
+    const delegation = formatDelegation(created.recordset[0]);
+
+    // Requests already waiting for the delegator are routed to the delegate too
+    const pending = await getPendingApprovals(pool.request(), { employeeId: delegator.employee_id, role: delegator.role });
+    await pool.request()
+      .input('type', sql.VarChar, 'approval_delegated')
+      .input('message', sql.VarChar, `${delegation.delegatorName || delegatorId} delegated leave approvals to you from ${delegation.startDate} to ${delegation.endDate}.` +
+        (pending.length ? ` ${pending.length} request(s) are awaiting approval.` : ''))
+      .input('user_id', sql.VarChar, delegateId)
+      .input('sender_id', sql.VarChar, req.user.employeeId)
+      .input('sender_name', sql.VarChar, req.user.fullName)
+      .query(`INSERT INTO notifications (type, message, user_id, sender_id, sender_name, created_at)
+        VALUES (@type, @message, @user_id, @sender_id, @sender_name, GETDATE())`);
+
+    res.json({ success: true, delegation, pendingRequests: pending.length });
+  } catch (err) {
+    console.error('Error creating approval delegation:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delegations the current user gave or received; HR sees all with ?all=true
+app.get('/api/approval-delegations', async (req, res) => {
+  try {
+    const all = req.query.all === 'true' && hasPermission(req.user.role, PERMISSIONS.APPROVALS_CONFIGURE);
+    const result = await pool.request()
+      .input('user_id', sql.VarChar, req.user.employeeId)
+      .input('all', sql.Bit, all)
+      .input('status', sql.VarChar, req.query.status || null)
+      .query(`${DELEGATION_SELECT}
+        WHERE (@all = 1 OR d.delegator_id = @user_id OR d.delegate_id = @user_id)
+          AND (@status IS NULL OR d.status = @status)
+        ORDER BY d.start_date DESC, d.id DESC`);
+    res.json({ success: true, delegations: result.recordset.map(formatDelegation) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End a delegation early (the delegator or HR)
+app.delete('/api/approval-delegations/:id', async (req, res) => {
+  try {
+    const existing = await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .query(`${DELEGATION_SELECT} WHERE d.id = @id`);
+    const delegation = existing.recordset[0];
+    if (!delegation) {
+      return res.status(404).json({ error: 'Delegation not found' });
+    }
+    if (delegation.delegator_id.toLowerCase() !== req.user.employeeId.toLowerCase() && !hasPermission(req.user.role, PERMISSIONS.APPROVALS_CONFIGURE)) {
+      return denyAccess(req, res, PERMISSIONS.APPROVALS_CONFIGURE);
+    }
+    setAuditContext(res, { before: delegation });
+    if (delegation.status !== 'Active') {
+      return res.status(400).json({ error: `Delegation has already ${delegation.status === 'Ended' ? 'ended' : 'been revoked'}` });
+    }
+    await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .query(`UPDATE approval_delegations SET status = 'Revoked', ended_at = GETDATE() WHERE id = @id AND status = 'Active'`);
+    res.json({ success: true, delegation: formatDelegation({ ...delegation, status: 'Revoked', ended_at: new Date() }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delegations past their end date are ended and both sides are told.
+// getActiveDelegations already ignores them, so this only tidies up the status.
+const endExpiredDelegations = async () => {
+  if (!process.env.DB_SERVER && !process.env.DB_NAME) {
+    return;
+  }
+  try {
+    const result = await pool.request().query(`
+      UPDATE approval_delegations SET status = 'Ended', ended_at = GETDATE()
+      OUTPUT INSERTED.*
+      WHERE status = 'Active' AND end_date < CAST(GETDATE() AS DATE)
+    `);
+    for (const delegation of result.recordset) {
+      for (const userId of [delegation.delegator_id, delegation.delegate_id]) {
+        await pool.request()
+          .input('type', sql.VarChar, 'approval_delegation_ended')
+          .input('message', sql.VarChar, `The delegation of leave approvals from ${delegation.delegator_id} to ${delegation.delegate_id} ended on ${toDateKey(delegation.end_date)}.`)
+          .input('user_id', sql.VarChar, userId)
+          .query(`INSERT INTO notifications (type, message, user_id, created_at)
+            VALUES (@type, @message, @user_id, GETDATE())`);
+      }
+    }
+    if (result.recordset.length) {
+      console.log(`✅ Ended ${result.recordset.length} expired approval delegations`);
+    }
+  } catch (err) {
+    console.error('❌ Error ending approval delegations:', err.message);
+  }
+};
+
+setTimeout(endExpiredDelegations, 30000);
+setInterval(endExpiredDelegations, 60 * 60 * 1000).unref();
+
+// Holidays between two dates as a Map of 'YYYY-MM-DD' -> name.
+// Only holidays for all postings or for the given posting are included.
+async function getHolidayMap(request, startDate, endDate, { type = 'Gazetted', posting = null } = {}) {
+  const result = await request
+    .input('start_date', sql.Date, startDate)
+    .input('end_date', sql.Date, endDate)
+    .input('type', sql.VarChar, type)
+    .input('posting', sql.VarChar, posting)
+    .query(`
+      SELECT holiday_date, name FROM holidays
+      WHERE holiday_date BETWEEN @start_date AND @end_date
+        AND type = @type
+        AND (posting IS NULL OR LOWER(posting) = LOWER(@posting))
+    `);
+  return new Map(result.recordset.map(holiday => [toDateKey(holiday.holiday_date), holiday.name]));
+}
+
+const HOLIDAY_TYPES = ['Gazetted', 'Restricted'];
+
+// Validates and normalises a holiday payload; returns { errors, holiday }
+function parseHolidayInput(body) {
+  const errors = [];
+  const date = body.date || body.holidayDate;
+  if (!date || isNaN(new Date(date))) errors.push('A valid date is required');
+  if (!body.name || !String(body.name).trim()) errors.push('name is required');
+  const type = HOLIDAY_TYPES.find(t => t.toLowerCase() === String(body.type || 'Gazetted').toLowerCase());
+  if (!type) errors.push(`type must be one of ${HOLIDAY_TYPES.join(', ')}`);
+  return {
+    errors,
+    holiday: {
+      date: date && toDateKey(date),
+      name: body.name && String(body.name).trim(),
+      type,
+      posting: body.posting ? String(body.posting).trim() : null
+    }
+  };
+}
+
+function formatHoliday(holiday) {
+  return {
+    id: holiday.id,
+    date: toDateKey(holiday.holiday_date),
+    year: holiday.year,
+    name: holiday.name,
+    type: holiday.type,
+    posting: holiday.posting,
+    createdAt: holiday.created_at
+  };
+}
+
+// Holiday calendar for a year. Employees see the holidays for all postings plus
+// their own; posting=all (or a specific posting) can be requested by holiday managers.
+app.get('/api/holidays', async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const { type } = req.query;
+    let posting = req.query.posting;
+    if (!posting || !hasPermission(req.user.role, PERMISSIONS.HOLIDAYS_MANAGE)) {
+      const employee = await pool.request()
+        .input('employee_id', sql.VarChar, req.user.employeeId)
+        .query('SELECT current_posting FROM employees WHERE employee_id = @employee_id');
+      posting = employee.recordset[0]?.current_posting || null;
+    }
+
+    const result = await pool.request()
+      .input('year', sql.Int, year)
+      .input('type', sql.VarChar, type || null)
+      .input('all_postings', sql.Bit, posting === 'all' ? 1 : 0)
+      .input('posting', sql.VarChar, posting)
+      .query(`
+        SELECT * FROM holidays
+        WHERE year = @year
+          AND (@type IS NULL OR type = @type)
+          AND (@all_postings = 1 OR posting IS NULL OR LOWER(posting) = LOWER(@posting))
+        ORDER BY holiday_date
+      `);
+    const holidays = result.recordset.map(formatHoliday);
+    res.json({
+      success: true,
+      year,
+      holidays,
+      gazetted: holidays.filter(holiday => holiday.type === 'Gazetted'),
+      restricted: holidays.filter(holiday => holiday.type === 'Restricted')
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a holiday
+app.post('/api/holidays', authorize(PERMISSIONS.HOLIDAYS_MANAGE), async (req, res) => {
+  try {
+    const { errors, holiday } = parseHolidayInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], details: errors });
+    }
+    const duplicate = await pool.request()
+      .input('holiday_date', sql.Date, holiday.date)
+      .input('type', sql.VarChar, holiday.type)
+      .input('posting', sql.VarChar, holiday.posting)
+      .query(`SELECT id FROM holidays WHERE holiday_date = @holiday_date AND type = @type
+        AND ISNULL(posting, '') = ISNULL(@posting, '')`);
+    if (duplicate.recordset.length) {
+      return res.status(409).json({ error: 'Holiday already exists for this date', id: duplicate.recordset[0].id });
+    }
+    const result = await pool.request()
+      .input('holiday_date', sql.Date, holiday.date)
+      .input('name', sql.VarChar, holiday.name)
+      .input('type', sql.VarChar, holiday.type)
+      .input('posting', sql.VarChar, holiday.posting)
+      .query(`INSERT INTO holidays (holiday_date, year, name, type, posting)
+        OUTPUT INSERTED.*
+        VALUES (@holiday_date, YEAR(@holiday_date), @name, @type, @posting)`);
+    res.json({ success: true, holiday: formatHoliday(result.recordset[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a holiday
+app.put('/api/holidays/:id', authorize(PERMISSIONS.HOLIDAYS_MANAGE), async (req, res) => {
+  try {
+    const { errors, holiday } = parseHolidayInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], details: errors });
+    }
+    const current = await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .query('SELECT * FROM holidays WHERE id = @id');
+    if (!current.recordset.length) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    setAuditContext(res, { before: current.recordset[0] });
+    const result = await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .input('holiday_date', sql.Date, holiday.date)
+      .input('name', sql.VarChar, holiday.name)
+      .input('type', sql.VarChar, holiday.type)
+      .input('posting', sql.VarChar, holiday.posting)
+      .query(`UPDATE holidays
+        SET holiday_date = @holiday_date, year = YEAR(@holiday_date), name = @name, type = @type, posting = @posting
+        OUTPUT INSERTED.*
+        WHERE id = @id`);
+    res.json({ success: true, holiday: formatHoliday(result.recordset[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a holiday
+app.delete('/api/holidays/:id', authorize(PERMISSIONS.HOLIDAYS_MANAGE), async (req, res) => {
+  try {
+    const result = await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .query('DELETE FROM holidays OUTPUT DELETED.* WHERE id = @id');
+    if (!result.recordset.length) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    setAuditContext(res, { before: result.recordset[0], after: null });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pending/approved leaves of the employee that share a (half) day with the given
+// range. Run inside the transaction that writes the leave; UPDLOCK/HOLDLOCK keep a
+// concurrent request (e.g. a double tap) from slipping in between check and insert.
+async function findOverlappingLeaves(request, { employeeId, startDate, endDate, startSession, endSession, excludeId = null, statuses = ['Pending', 'Approved'] }) {
+  request
+    .input('employee_id', sql.VarChar, employeeId)
+    .input('start_date', sql.Date, startDate)
+    .input('end_date', sql.Date, endDate)
+    .input('exclude_id', sql.Int, excludeId);
+  statuses.forEach((status, index) => request.input(`status${index}`, sql.VarChar, status));
+  const result = await request.query(`
+    SELECT id, type, start_date, end_date, start_session, end_session, days, status
+    FROM leaves WITH (UPDLOCK, HOLDLOCK)
+    WHERE employee_id = @employee_id
+      AND start_date <= @end_date AND end_date >= @start_date
+      AND status IN (${statuses.map((status, index) => `@status${index}`).join(', ')})
+      AND (@exclude_id IS NULL OR id <> @exclude_id)
+  `);
+  return result.recordset.filter(existing => leavesOverlap(
+    { startDate, endDate, startSession, endSession },
+    { startDate: existing.start_date, endDate: existing.end_date, startSession: existing.start_session, endSession: existing.end_session }
+  ));
+}
+
+function overlapConflictBody(conflicts) {
+  return {
+    error: 'Leave overlaps with an existing leave',
+    code: 'LEAVE_OVERLAP',
+    conflictingLeaveIds: conflicts.map(leave => leave.id),
+    conflicts: conflicts.map(leave => ({
+      id: leave.id,
+      type: leave.type,
+      startDate: toDateKey(leave.start_date),
+      endDate: toDateKey(leave.end_date),
+      startSession: leave.start_session || 'full',
+      endSession: leave.end_session || 'full',
+      status: leave.status
+    }))
+  };
+}
+
+function overlapConflictResponse(res, conflicts) {
+  return res.status(409).json(overlapConflictBody(conflicts));
+}
+
+// Field-level validation errors, keyed by the request field they belong to
+// ({ startDate: '...', type: '...' }) so forms can show them next to the input.
+// error repeats the first message for clients that only show one.
+function validationErrorResponse(res, fieldErrors, extra = {}) {
+  return res.status(400).json({
+    success: false,
+    error: Object.values(fieldErrors)[0],
+    code: 'VALIDATION_FAILED',
+    fieldErrors,
+    ...extra
+  });
+}
+
+// Timing rules of a leave type's policy: minimum advance notice, how many days
+// the start may lie in the past and the longest single leave (in charged days).
+// Returns field errors, empty when the leave is allowed.
+function validateLeaveTiming(leaveType, { startDate, days }, today = localDateKey()) {
+  const { advanceNoticeDays, backdateDays, maxConsecutiveDays } = leaveType.policy;
+  const plural = count => `${count} day${count === 1 ? '' : 's'}`;
+  const start = toDateKey(startDate);
+  const errors = {};
+  if (start < today) {
+    const earliest = addDays(today, -backdateDays);
+    if (!backdateDays) {
+      errors.startDate = `${leaveType.name} cannot be applied for past dates`;
+    } else if (start < earliest) {
+      errors.startDate = `${leaveType.name} can be back-dated by at most ${plural(backdateDays)} (earliest start date ${earliest})`;
+    }
+  } else if (advanceNoticeDays && start < addDays(today, advanceNoticeDays)) {
+    errors.startDate = `${leaveType.name} must be applied at least ${plural(advanceNoticeDays)} in advance (earliest start date ${addDays(today, advanceNoticeDays)})`;
+  }
+  if (maxConsecutiveDays !== null && days > maxConsecutiveDays) {
+    errors.endDate = `${leaveType.name} can be taken for at most ${plural(maxConsecutiveDays)} at a time`;
+  }
+  return errors;
+}
+
+// Leave types and policies
+// Types, entitlements, approval and day-counting rules live in leave_types /
+// leave_policies and are managed through /api/leave-types. The defaults below
+// are only used to seed an empty database.
+const DEFAULT_LEAVE_TYPES = [
+  {
+    code: 'CL', name: 'Casual Leave', description: 'For personal and family matters', balanceColumn: 'cl_balance',
+    sortOrder: 1,
+    policy: { annualEntitlement: 16, advanceNoticeDays: 3, maxConsecutiveDays: 8, proRata: true, yearEndAction: 'lapse' }
+  },
+  {
+    code: 'EL', name: 'Earned Leave', description: 'Accumulated leave based on service', balanceColumn: 'el_balance',
+    countsWeeklyOffs: true, countsHolidays: true, sortOrder: 2,
+    policy: {
+      annualEntitlement: 18, advanceNoticeDays: 7, maxConsecutiveDays: 180, accrual: 'half_yearly', proRata: true,
+      yearEndAction: 'carry_forward', carryForwardCap: 300,
+      encashable: true, encashMaxDaysPerYear: 10, encashMaxRequestsPerYear: 1, encashMinRetainedBalance: 30
+    }
+  },
+  {
+    code: 'RH', name: 'Restricted Holiday', description: 'For religious and cultural observances', balanceColumn: 'rh_balance',
+    restrictedHolidaysOnly: true, sortOrder: 3, policy: { annualEntitlement: 3, advanceNoticeDays: 1, yearEndAction: 'lapse' }
+  },
+  {
+    code: 'SL', name: 'Sick Leave', description: 'For medical emergencies', balanceColumn: 'sl_balance',
+    requiresApproval: false, sortOrder: 4,
+    policy: { annualEntitlement: 15, maxBalance: 45, backdateDays: 3, accrual: 'annual', proRata: true }
+  },
+  {
+    // No yearly entitlement: the balance is earned through approved comp-off claims
+    code: 'CO', name: 'Compensatory Off', description: 'For work done on a weekly off or gazetted holiday',
+    sortOrder: 5, policy: { annualEntitlement: 0, advanceNoticeDays: 1, backdateDays: 3, creditValidityDays: 90 }
+  }
+];
+
+const LEAVE_TYPE_CODE_PATTERN = /^[A-Z][A-Z0-9]{0,9}$/;
+const ACCRUAL_MODES = ['none', 'annual', 'half_yearly'];
+// What happens to the unused balance at year end (see /api/year-end)
+const YEAR_END_ACTIONS = ['none', 'lapse', 'carry_forward'];
+
+async function seedLeaveTypes() {
+  for (const type of DEFAULT_LEAVE_TYPES) {
+    const inserted = await pool.request()
+      .input('code', sql.VarChar, type.code)
+      .input('name', sql.VarChar, type.name)
+      .input('description', sql.VarChar, type.description)
+      .input('balance_column', sql.VarChar, type.balanceColumn)
+      .input('requires_approval', sql.Bit, type.requiresApproval !== false)
+      .input('counts_weekly_offs', sql.Bit, !!type.countsWeeklyOffs)
+      .input('counts_holidays', sql.Bit, !!type.countsHolidays)
+      .input('restricted_holidays_only', sql.Bit, !!type.restrictedHolidaysOnly)
+      .input('sort_order', sql.Int, type.sortOrder)
+      .query(`
+        IF NOT EXISTS (SELECT 1 FROM leave_types WHERE code = @code)
+        INSERT INTO leave_types (code, name, description, balance_column, requires_approval, counts_weekly_offs, counts_holidays, restricted_holidays_only, sort_order)
+        VALUES (@code, @name, @description, @balance_column, @requires_approval, @counts_weekly_offs, @counts_holidays, @restricted_holidays_only, @sort_order)
+      `);
+    if (!inserted.rowsAffected[0]) continue;
+
+    const { policy } = type;
+    await pool.request()
+      .input('leave_type', sql.VarChar, type.code)
+      .input('annual_entitlement', sql.Decimal(5, 1), policy.annualEntitlement)
+      .input('max_balance', sql.Decimal(5, 1), policy.maxBalance ?? null)
+      .input('advance_notice_days', sql.Int, policy.advanceNoticeDays || 0)
+      .input('max_consecutive_days', sql.Decimal(5, 1), policy.maxConsecutiveDays ?? null)
+      .input('backdate_days', sql.Int, policy.backdateDays || 0)
+      .input('encashable', sql.Bit, !!policy.encashable)
+      .input('encash_max_days_per_year', sql.Decimal(5, 1), policy.encashMaxDaysPerYear ?? null)
+      .input('encash_max_requests_per_year', sql.Int, policy.encashMaxRequestsPerYear ?? null)
+      .input('encash_min_retained', sql.Decimal(5, 1), policy.encashMinRetainedBalance || 0)
+      .input('credit_validity_days', sql.Int, policy.creditValidityDays ?? null)
+      .input('accrual', sql.VarChar, policy.accrual || 'none')
+      .input('pro_rata', sql.Bit, !!policy.proRata)
+      .input('year_end_action', sql.VarChar, policy.yearEndAction || 'none')
+      .input('carry_forward_cap', sql.Decimal(5, 1), policy.carryForwardCap ?? null)
+      .query(`INSERT INTO leave_policies (leave_type, annual_entitlement, max_balance, advance_notice_days, max_consecutive_days, backdate_days,
+          encashable, encash_max_days_per_year, encash_max_requests_per_year, encash_min_retained, credit_validity_days, accrual, pro_rata, year_end_action, carry_forward_cap, effective_from)
+        VALUES (@leave_type, @annual_entitlement, @max_balance, @advance_notice_days, @max_consecutive_days, @backdate_days,
+          @encashable, @encash_max_days_per_year, @encash_max_requests_per_year, @encash_min_retained, @credit_validity_days, @accrual, @pro_rata, @year_end_action, @carry_forward_cap, '2000-01-01')`);
+
+    // Existing balances move from the legacy column into employee_leave_balances
+    if (type.balanceColumn) {
+      await pool.request()
+        .input('leave_type', sql.VarChar, type.code)
+        .query(`INSERT INTO employee_leave_balances (employee_id, leave_type, balance)
+          SELECT employee_id, @leave_type, ISNULL(${type.balanceColumn}, 0) FROM employees`);
+    }
+    console.log(`✅ Seeded leave type ${type.code}`);
+  }
+
+  // Sick leave credits recorded by the earlier sl_credited_year column
+  await pool.request().query(`
+    IF EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('employees') AND name = 'sl_credited_year')
+      EXEC sp_executesql N'
+        INSERT INTO leave_credits (employee_id, leave_type, period, days)
+        SELECT e.employee_id, ''SL'', CAST(e.sl_credited_year AS VARCHAR(20)), 0
+        FROM employees e
+        WHERE e.sl_credited_year IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM leave_credits c WHERE c.employee_id = e.employee_id AND c.leave_type = ''SL'' AND c.period = CAST(e.sl_credited_year AS VARCHAR(20)))';
+  `);
+}
+
+function formatLeaveType(row) {
+  return {
+    code: row.code,
+    name: row.name,
+    description: row.description,
+    balanceColumn: row.balance_column,
+    requiresApproval: !!row.requires_approval,
+    countsWeeklyOffs: !!row.counts_weekly_offs,
+    countsHolidays: !!row.counts_holidays,
+    allowHalfDay: !!row.allow_half_day,
+    restrictedHolidaysOnly: !!row.restricted_holidays_only,
+    isActive: !!row.is_active,
+    sortOrder: row.sort_order,
+    policy: {
+      id: row.policy_id,
+      annualEntitlement: Number(row.annual_entitlement || 0),
+      maxBalance: row.max_balance === null || row.max_balance === undefined ? null : Number(row.max_balance),
+      advanceNoticeDays: row.advance_notice_days || 0,
+      maxConsecutiveDays: row.max_consecutive_days === null || row.max_consecutive_days === undefined ? null : Number(row.max_consecutive_days),
+      backdateDays: row.backdate_days || 0,
+      encashable: !!row.encashable,
+      encashMaxDaysPerYear: row.encash_max_days_per_year === null || row.encash_max_days_per_year === undefined ? null : Number(row.encash_max_days_per_year),
+      encashMaxRequestsPerYear: row.encash_max_requests_per_year ?? null,
+      encashMinRetainedBalance: Number(row.encash_min_retained || 0),
+      creditValidityDays: row.credit_validity_days ?? null,
+      accrual: row.accrual || 'none',
+      proRata: !!row.pro_rata,
+      yearEndAction: row.year_end_action || 'none',
+      carryForwardCap: row.carry_forward_cap === null || row.carry_forward_cap === undefined ? null : Number(row.carry_forward_cap),
+      effectiveFrom: row.effective_from
+    }
+  };
+}
+
+const LEAVE_TYPE_SELECT = `
+  SELECT t.*, p.id as policy_id, p.annual_entitlement, p.max_balance, p.advance_notice_days,
+    p.max_consecutive_days, p.backdate_days, p.encashable, p.encash_max_days_per_year, p.encash_max_requests_per_year,
+    p.encash_min_retained, p.credit_validity_days, p.accrual, p.pro_rata,
+    p.year_end_action, p.carry_forward_cap, p.effective_from
+  FROM leave_types t
+  OUTER APPLY (
+    SELECT TOP 1 * FROM leave_policies lp
+    WHERE lp.leave_type = t.code AND lp.effective_from <= CAST(GETDATE() AS DATE)
+    ORDER BY lp.effective_from DESC, lp.id DESC
+  ) p
+`;
+
+// Leave types with their current policy
+async function getLeaveTypes(request, { includeInactive = false } = {}) {
+  const result = await request
+    .input('include_inactive', sql.Bit, includeInactive)
+    .query(`${LEAVE_TYPE_SELECT} WHERE @include_inactive = 1 OR t.is_active = 1 ORDER BY t.sort_order, t.code`);
+  return result.recordset.map(formatLeaveType);
+}
+
+// A single leave type (active or not) by code, or null
+async function getLeaveType(request, code) {
+  const result = await request
+    .input('code', sql.VarChar, (code || '').toString().trim().toUpperCase())
+    .query(`${LEAVE_TYPE_SELECT} WHERE t.code = @code`);
+  return result.recordset.length ? formatLeaveType(result.recordset[0]) : null;
+}
+
+// Accrual periods of a year. 'none' and 'annual' policies have one yearly period,
+// 'half_yearly' ones are credited in advance on 1 January and 1 July.
+function accrualPeriods(accrual, year) {
+  if (accrual === 'half_yearly') {
+    return [
+      { period: `${year}-H1`, start: new Date(year, 0, 1), months: 6 },
+      { period: `${year}-H2`, start: new Date(year, 6, 1), months: 6 }
+    ];
+  }
+  return [{ period: String(year), start: new Date(year, 0, 1), months: 12 }];
+}
+
+// The period a date falls in
+function accrualPeriodOn(accrual, date) {
+  return accrualPeriods(accrual, date.getFullYear()).filter(period => period.start <= date).pop();
+}
+
+// Days credited for a period: its share of the annual entitlement, or for
+// pro-rata policies in the period of joining only the months from the joining
+// month on (rounded down to half days). Null if the employee joined after the period.
+function creditForPeriod(policy, joiningDate, { start, months }) {
+  const full = Math.floor((policy.annualEntitlement * months / 12) * 2) / 2;
+  const joined = joiningDate ? new Date(joiningDate) : null;
+  if (!joined || isNaN(joined) || joined < start) return full;
+  const monthsBeforeJoining = (joined.getFullYear() - start.getFullYear()) * 12 + joined.getMonth() - start.getMonth();
+  if (monthsBeforeJoining >= months) return null;
+  if (!policy.proRata) return full;
+  return Math.floor((policy.annualEntitlement * (months - monthsBeforeJoining) / 12) * 2) / 2;
+}
+
+function entitlementForYear(policy, joiningDate, year) {
+  return creditForPeriod(policy, joiningDate, accrualPeriods('annual', year)[0]) || 0;
+}
+
+// Records why a balance was credited. Fails with a unique key violation (2627)
+// when the employee was already credited for that period.
+async function recordLeaveCredit(request, { employeeId, leaveType, period, days, reason }) {
+  await request
+    .input('employee_id', sql.VarChar, employeeId)
+    .input('leave_type', sql.VarChar, leaveType.code)
+    .input('period', sql.VarChar, period)
+    .input('days', sql.Decimal(5, 1), days)
+    .input('reason', sql.VarChar, reason)
+    .query(`INSERT INTO leave_credits (employee_id, leave_type, period, days, reason)
+      VALUES (@employee_id, @leave_type, @period, @days, @reason)`);
+}
+
+// Balances are the sum of an employee's leave_transactions. The sum is cached
+// in employee_leave_balances and, for types that have a legacy balance_column,
+// mirrored onto employees for clients that still read it.
+
+function balanceMirrorSql(leaveType, expression) {
+  return leaveType.balanceColumn
+    ? `UPDATE employees SET ${leaveType.balanceColumn} = ${expression} WHERE employee_id = @employee_id;`
+    : '';
+}
+
+// Appends a signed entry to the ledger and refreshes the cached balance.
+// Call it with a transaction request so the entry commits with the change it records.
+// The entry moves the balance by days, or, when days is omitted, to balance
+// (for manual adjustments) or back by whatever is still debited for leaveId
+// (for reversals). Returns the new ledger row, or null when nothing changed.
+async function postLeaveTransaction(request, {
+  employeeId, leaveType, type, days = null, balance = null,
+  leaveId = null, reference = null, remarks = null, createdBy = null
+}) {
+  let delta = '@days';
+  if (days === null && balance !== null) delta = '@target - @current';
+  else if (days === null) {
+    delta = `-ISNULL((SELECT SUM(days) FROM leave_transactions
+      WHERE leave_id = @leave_id AND employee_id = @employee_id AND leave_type = @leave_type), 0)`;
+  }
+  const result = await request
+    .input('employee_id', sql.VarChar, employeeId)
+    .input('leave_type', sql.VarChar, leaveType.code)
+    .input('transaction_type', sql.VarChar, type)
+    .input('days', sql.Decimal(6, 1), days)
+    .input('target', sql.Decimal(6, 1), balance)
+    .input('leave_id', sql.Int, leaveId)
+    .input('reference', sql.VarChar, reference)
+    .input('remarks', sql.NVarChar, remarks)
+    .input('created_by', sql.VarChar, createdBy)
+    .query(`
+      DECLARE @current DECIMAL(6,1) = ISNULL((
+        SELECT SUM(days) FROM leave_transactions WITH (UPDLOCK, HOLDLOCK)
+        WHERE employee_id = @employee_id AND leave_type = @leave_type), 0);
+      DECLARE @delta DECIMAL(6,1) = ${delta};
+      DECLARE @balance DECIMAL(6,1) = @current + @delta;
+      IF @delta <> 0
+      BEGIN
+        INSERT INTO leave_transactions (employee_id, leave_type, transaction_type, days, balance_after, leave_id, reference, remarks, created_by)
+        OUTPUT INSERTED.*
+        VALUES (@employee_id, @leave_type, @transaction_type, @delta, @balance, @leave_id, @reference, @remarks, @created_by);
+        UPDATE employee_leave_balances SET balance = @balance, updated_at = GETDATE()
+        WHERE employee_id = @employee_id AND leave_type = @leave_type;
+        IF @@ROWCOUNT = 0
+          INSERT INTO employee_leave_balances (employee_id, leave_type, balance) VALUES (@employee_id, @leave_type, @balance);
+        ${balanceMirrorSql(leaveType, '@balance')}
+      END
+    `);
+  return result.recordset ? result.recordset[0] || null : null;
+}
+
+// Per leave type: balance (the sum of the ledger, so already net of approved leave), reserved (days held by
+// pending leave, encashment and extension requests), available (balance - reserved) and consumed (approved days in
+// the current year). Reservations are released simply by the leave leaving the
+// Pending state (reject, cancel).
+// Pass lock = true inside a transaction to hold the balance rows until commit.
+async function getLeaveBalances(request, employeeId, { lock = false } = {}) {
+  const hint = lock ? 'WITH (UPDLOCK, HOLDLOCK)' : '';
+  const result = await request
+    .input('employee_id', sql.VarChar, employeeId)
+    .query(`
+      SELECT employee_id FROM employees ${hint} WHERE employee_id = @employee_id;
+
+      SELECT t.code, ISNULL(b.balance, 0) as balance
+      FROM leave_types t
+      LEFT JOIN (
+        SELECT leave_type, SUM(days) as balance FROM leave_transactions ${hint}
+        WHERE employee_id = @employee_id GROUP BY leave_type
+      ) b ON b.leave_type = t.code
+      WHERE t.is_active = 1 OR b.balance IS NOT NULL
+      ORDER BY t.sort_order, t.code;
+
+      SELECT type,
+        ISNULL(SUM(CASE WHEN status = 'Pending' THEN days END), 0) as reserved,
+        ISNULL(SUM(CASE WHEN status = 'Approved' AND YEAR(start_date) = YEAR(GETDATE()) THEN days END), 0) as consumed
+      FROM leaves ${hint}
+      WHERE employee_id = @employee_id
+      GROUP BY type;
+
+      SELECT leave_type, SUM(days) as reserved FROM leave_encashments ${hint}
+      WHERE employee_id = @employee_id AND status = 'Pending'
+      GROUP BY leave_type;
+
+      SELECT l.type, SUM(m.days - m.previous_days) as reserved
+      FROM leave_modifications m ${hint}
+      JOIN leaves l ON l.id = m.leave_id AND l.status = 'Approved'
+      WHERE m.employee_id = @employee_id AND m.status = 'Pending' AND m.days > m.previous_days
+      GROUP BY l.type;
+    `);
+  if (!result.recordsets[0].length) return null;
+
+  const balances = {};
+  for (const row of result.recordsets[1]) {
+    const usage = result.recordsets[2].find(leave => (leave.type || '').toUpperCase() === row.code) || { reserved: 0, consumed: 0 };
+    const encashment = result.recordsets[3].find(pending => pending.leave_type === row.code);
+    const extension = result.recordsets[4].find(pending => (pending.type || '').toUpperCase() === row.code);
+    const balance = Number(row.balance);
+    const reserved = Number(usage.reserved) + (encashment ? Number(encashment.reserved) : 0) +
+      (extension ? Number(extension.reserved) : 0);
+    balances[row.code] = {
+      balance,
+      reserved,
+      available: balance - reserved,
+      consumed: Number(usage.consumed)
+    };
+  }
+  return balances;
+}
+
+// Validates a leave type / policy payload; partial = true for updates
+function parseLeaveTypeInput(body, { partial = false } = {}) {
+  const errors = [];
+  const type = {};
+  if (!partial) {
+    type.code = (body.code || '').toString().trim().toUpperCase();
+    if (!LEAVE_TYPE_CODE_PATTERN.test(type.code)) errors.push('code must be 1-10 letters/digits starting with a letter');
+  }
+  if (body.name !== undefined || !partial) {
+    type.name = (body.name || '').toString().trim();
+    if (!type.name) errors.push('name is required');
+  }
+  if (body.description !== undefined) type.description = body.description;
+  for (const flag of ['requiresApproval', 'countsWeeklyOffs', 'countsHolidays', 'allowHalfDay', 'restrictedHolidaysOnly', 'isActive']) {
+    if (body[flag] !== undefined) type[flag] = !!body[flag];
+  }
+  if (body.sortOrder !== undefined) type.sortOrder = parseInt(body.sortOrder, 10) || 0;
+  return { errors, type };
+}
+
+function parsePolicyInput(body) {
+  const errors = [];
+  const number = (value, field, { allowNull = false } = {}) => {
+    if ((value === undefined || value === null || value === '') && allowNull) return null;
+    const parsed = Number(value);
+    if (value === undefined || value === null || isNaN(parsed) || parsed < 0) {
+      errors.push(`${field} must be a non-negative number`);
+      return null;
+    }
+    return parsed;
+  };
+  const policy = {
+    annualEntitlement: number(body.annualEntitlement, 'annualEntitlement'),
+    maxBalance: number(body.maxBalance, 'maxBalance', { allowNull: true }),
+    advanceNoticeDays: Math.floor(number(body.advanceNoticeDays ?? 0, 'advanceNoticeDays') || 0),
+    maxConsecutiveDays: number(body.maxConsecutiveDays, 'maxConsecutiveDays', { allowNull: true }),
+    backdateDays: Math.floor(number(body.backdateDays ?? 0, 'backdateDays') || 0),
+    encashable: !!body.encashable,
+    encashMaxDaysPerYear: number(body.encashMaxDaysPerYear, 'encashMaxDaysPerYear', { allowNull: true }),
+    encashMaxRequestsPerYear: body.encashMaxRequestsPerYear === undefined || body.encashMaxRequestsPerYear === null || body.encashMaxRequestsPerYear === ''
+      ? null
+      : Math.floor(number(body.encashMaxRequestsPerYear, 'encashMaxRequestsPerYear') || 0),
+    encashMinRetainedBalance: number(body.encashMinRetainedBalance ?? 0, 'encashMinRetainedBalance') || 0,
+    creditValidityDays: body.creditValidityDays === undefined || body.creditValidityDays === null || body.creditValidityDays === ''
+      ? null
+      : Math.floor(number(body.creditValidityDays, 'creditValidityDays') || 0),
+    accrual: (body.accrual || 'none').toString().toLowerCase(),
+    proRata: !!body.proRata,
+    yearEndAction: (body.yearEndAction || 'none').toString().toLowerCase(),
+    carryForwardCap: number(body.carryForwardCap, 'carryForwardCap', { allowNull: true }),
+    effectiveFrom: body.effectiveFrom || null
+  };
+  if (policy.maxConsecutiveDays === 0) errors.push('maxConsecutiveDays must be greater than 0');
+  if (policy.creditValidityDays === 0) errors.push('creditValidityDays must be greater than 0');
+  if (!ACCRUAL_MODES.includes(policy.accrual)) errors.push(`accrual must be one of ${ACCRUAL_MODES.join(', ')}`);
+  if (!YEAR_END_ACTIONS.includes(policy.yearEndAction)) errors.push(`yearEndAction must be one of ${YEAR_END_ACTIONS.join(', ')}`);
+  if (policy.effectiveFrom && isNaN(new Date(policy.effectiveFrom))) errors.push('effectiveFrom must be a valid date');
+  return { errors, policy };
+}
+
+async function insertLeavePolicy(request, code, policy, createdBy) {
+  await request
+    .input('leave_type', sql.VarChar, code)
+    .input('annual_entitlement', sql.Decimal(5, 1), policy.annualEntitlement)
+    .input('max_balance', sql.Decimal(5, 1), policy.maxBalance)
+    .input('advance_notice_days', sql.Int, policy.advanceNoticeDays)
+    .input('max_consecutive_days', sql.Decimal(5, 1), policy.maxConsecutiveDays)
+    .input('backdate_days', sql.Int, policy.backdateDays)
+    .input('encashable', sql.Bit, policy.encashable)
+    .input('encash_max_days_per_year', sql.Decimal(5, 1), policy.encashMaxDaysPerYear)
+    .input('encash_max_requests_per_year', sql.Int, policy.encashMaxRequestsPerYear)
+    .input('encash_min_retained', sql.Decimal(5, 1), policy.encashMinRetainedBalance)
+    .input('credit_validity_days', sql.Int, policy.creditValidityDays)
+    .input('accrual', sql.VarChar, policy.accrual)
+    .input('pro_rata', sql.Bit, policy.proRata)
+    .input('year_end_action', sql.VarChar, policy.yearEndAction)
+    .input('carry_forward_cap', sql.Decimal(5, 1), policy.carryForwardCap)
+    .input('effective_from', sql.Date, policy.effectiveFrom || new Date())
+    .input('created_by', sql.VarChar, createdBy)
+    .query(`INSERT INTO leave_policies (leave_type, annual_entitlement, max_balance, advance_notice_days, max_consecutive_days, backdate_days,
+        encashable, encash_max_days_per_year, encash_max_requests_per_year, encash_min_retained, credit_validity_days, accrual, pro_rata, year_end_action, carry_forward_cap, effective_from, created_by)
+      VALUES (@leave_type, @annual_entitlement, @max_balance, @advance_notice_days, @max_consecutive_days, @backdate_days,
+        @encashable, @encash_max_days_per_year, @encash_max_requests_per_year, @encash_min_retained, @credit_validity_days, @accrual, @pro_rata, @year_end_action, @carry_forward_cap, @effective_from, @created_by)`);
+}
+
+// List leave types; inactive ones only for leave type managers
+app.get('/api/leave-types', async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && hasPermission(req.user.role, PERMISSIONS.LEAVE_TYPES_MANAGE);
+    res.json({ success: true, leaveTypes: await getLeaveTypes(pool.request(), { includeInactive }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a leave type together with its policy
+app.post('/api/leave-types', authorize(PERMISSIONS.LEAVE_TYPES_MANAGE), async (req, res) => {
+  try {
+    const { errors, type } = parseLeaveTypeInput(req.body);
+    const { errors: policyErrors, policy } = parsePolicyInput(req.body.policy || {});
+    errors.push(...policyErrors);
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], details: errors });
+    }
+    if (await getLeaveType(pool.request(), type.code)) {
+      return res.status(409).json({ error: `Leave type ${type.code} already exists` });
+    }
+
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      await transaction.request()
+        .input('code', sql.VarChar, type.code)
+        .input('name', sql.VarChar, type.name)
+        .input('description', sql.VarChar, type.description || null)
+        .input('requires_approval', sql.Bit, type.requiresApproval ?? true)
+        .input('counts_weekly_offs', sql.Bit, type.countsWeeklyOffs ?? false)
+        .input('counts_holidays', sql.Bit, type.countsHolidays ?? false)
+        .input('allow_half_day', sql.Bit, type.allowHalfDay ?? true)
+        .input('restricted_holidays_only', sql.Bit, type.restrictedHolidaysOnly ?? false)
+        .input('is_active', sql.Bit, type.isActive ?? true)
+        .input('sort_order', sql.Int, type.sortOrder || 0)
+        .query(`INSERT INTO leave_types (code, name, description, requires_approval, counts_weekly_offs, counts_holidays, allow_half_day, restricted_holidays_only, is_active, sort_order)
+          VALUES (@code, @name, @description, @requires_approval, @counts_weekly_offs, @counts_holidays, @allow_half_day, @restricted_holidays_only, @is_active, @sort_order)`);
+      await insertLeavePolicy(transaction.request(), type.code, { ...policy, effectiveFrom: policy.effectiveFrom || '2000-01-01' }, req.user.employeeId);
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+    res.json({ success: true, leaveType: await getLeaveType(pool.request(), type.code) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a leave type's settings (code and balance storage cannot change)
+app.put('/api/leave-types/:code', authorize(PERMISSIONS.LEAVE_TYPES_MANAGE), async (req, res) => {
+  try {
+    const current = await getLeaveType(pool.request(), req.params.code);
+    if (!current) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+    const { errors, type } = parseLeaveTypeInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], details: errors });
+    }
+    setAuditContext(res, { before: current });
+    const merged = { ...current, ...type };
+    await pool.request()
+      .input('code', sql.VarChar, current.code)
+      .input('name', sql.VarChar, merged.name)
+      .input('description', sql.VarChar, merged.description || null)
+      .input('requires_approval', sql.Bit, merged.requiresApproval)
+      .input('counts_weekly_offs', sql.Bit, merged.countsWeeklyOffs)
+      .input('counts_holidays', sql.Bit, merged.countsHolidays)
+      .input('allow_half_day', sql.Bit, merged.allowHalfDay)
+      .input('restricted_holidays_only', sql.Bit, merged.restrictedHolidaysOnly)
+      .input('is_active', sql.Bit, merged.isActive)
+      .input('sort_order', sql.Int, merged.sortOrder)
+      .query(`UPDATE leave_types
+        SET name = @name, description = @description, requires_approval = @requires_approval,
+            counts_weekly_offs = @counts_weekly_offs, counts_holidays = @counts_holidays, allow_half_day = @allow_half_day,
+            restricted_holidays_only = @restricted_holidays_only, is_active = @is_active, sort_order = @sort_order,
+            updated_at = GETDATE()
+        WHERE code = @code`);
+    res.json({ success: true, leaveType: await getLeaveType(pool.request(), current.code) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a leave type's policy; the previous policy is kept for history
+app.put('/api/leave-types/:code/policy', authorize(PERMISSIONS.LEAVE_TYPES_MANAGE), async (req, res) => {
+  try {
+    const current = await getLeaveType(pool.request(), req.params.code);
+    if (!current) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+    const { errors, policy } = parsePolicyInput({ ...current.policy, effectiveFrom: undefined, ...req.body });
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], details: errors });
+    }
+    setAuditContext(res, { before: current.policy });
+    await insertLeavePolicy(pool.request(), current.code, policy, req.user.employeeId);
+    res.json({ success: true, leaveType: await getLeaveType(pool.request(), current.code) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Leave types are deactivated rather than deleted because leaves refer to them
+app.delete('/api/leave-types/:code', authorize(PERMISSIONS.LEAVE_TYPES_MANAGE), async (req, res) => {
+  try {
+    const result = await pool.request()
+      .input('code', sql.VarChar, req.params.code.toUpperCase())
+      .query('UPDATE leave_types SET is_active = 0, updated_at = GETDATE() OUTPUT DELETED.* WHERE code = @code');
+    if (!result.recordset.length) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+    setAuditContext(res, { before: result.recordset[0] });
+    res.json({ success: true, message: `Leave type ${req.params.code.toUpperCase()} deactivated` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reset every employee's balance of a leave type to its annual entitlement
+async function resetBalancesToEntitlement(res, leaveType, createdBy) {
+  const entitlement = leaveType.policy.annualEntitlement;
+  const before = await pool.request()
+    .input('leave_type', sql.VarChar, leaveType.code)
+    .input('entitlement', sql.Decimal(5, 1), entitlement)
+    .query(`SELECT e.employee_id, b.balance FROM employees e
+      LEFT JOIN (SELECT employee_id, SUM(days) as balance FROM leave_transactions WHERE leave_type = @leave_type GROUP BY employee_id) b
+        ON b.employee_id = e.employee_id
+      WHERE ISNULL(b.balance, 0) <> @entitlement`);
+  setAuditContext(res, { before: before.recordset });
+
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  try {
+    for (const { employee_id } of before.recordset) {
+      await postLeaveTransaction(transaction.request(), {
+        employeeId: employee_id,
+        leaveType,
+        type: 'adjustment',
+        balance: entitlement,
+        remarks: `Reset to the annual ${leaveType.code} entitlement`,
+        createdBy
+      });
+    }
+    await transaction.commit();
+  } catch (err) {
+    await transaction.rollback();
+    throw err;
+  }
+  return {
+    success: true,
+    message: `Updated ${before.recordset.length} employees' ${leaveType.name.toLowerCase()} balance to ${entitlement}`,
+    updatedEmployees: before.recordset.map(row => ({ employee_id: row.employee_id, balance: entitlement }))
+  };
+}
+
+app.post('/api/leave-types/:code/reset-balances', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  try {
+    const leaveType = await getLeaveType(pool.request(), req.params.code);
+    if (!leaveType) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+    res.json(await resetBalancesToEntitlement(res, leaveType, req.user.employeeId));
+  } catch (err) {
+    console.error('Error resetting leave balances:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// day_breakdown is stored as JSON text
+function withDayBreakdown(leave) {
+  if (leave && typeof leave.day_breakdown === 'string') {
+    try {
+      leave.day_breakdown = JSON.parse(leave.day_breakdown);
+    } catch (e) {
+      leave.day_breakdown = null;
+    }
+  }
+  return leave;
+}
+
+// Leave Routes
+// Submit leave request
+app.post('/api/leaves', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
+  try {
+    const { startDate, endDate, reason, location } = req.body;
+    const { employeeId } = req.user;
+    const fieldErrors = {};
+    const leaveType = req.body.type ? await getLeaveType(pool.request(), req.body.type) : null;
+    if (!leaveType || !leaveType.isActive) {
+      fieldErrors.type = req.body.type ? 'Invalid leave type' : 'Leave type is required';
+    }
+    if (!startDate || isNaN(new Date(startDate))) {
+      fieldErrors.startDate = 'A valid start date is required';
+    }
+    if (!endDate || isNaN(new Date(endDate))) {
+      fieldErrors.endDate = 'A valid end date is required';
+    } else if (!fieldErrors.startDate && toDateKey(endDate) < toDateKey(startDate)) {
+      fieldErrors.endDate = 'End date cannot be before start date';
+    }
+    if (Object.keys(fieldErrors).length) {
+      return validationErrorResponse(res, fieldErrors);
+    }
+    const type = leaveType.code;
+    // Half days: first_half / second_half on the start and end dates
+    const sessionError = validateSessions(startDate, endDate, req.body.startSession, req.body.endSession);
+    if (sessionError) {
+      return validationErrorResponse(res, { [sessionError.field]: sessionError.message });
+    }
+    const startSession = normalizeSession(req.body.startSession);
+    const endSession = toDateKey(startDate) === toDateKey(endDate) ? startSession : normalizeSession(req.body.endSession);
+    if (!leaveType.allowHalfDay && (startSession !== 'full' || endSession !== 'full')) {
+      return validationErrorResponse(res, {
+        [startSession !== 'full' ? 'startSession' : 'endSession']: `${leaveType.name} cannot be taken for half a day`
+      });
+    }
+    // Get employee details including designation
+    const empResult = await pool.request()
+      .input('employeeId', sql.VarChar, employeeId)
+      .query('SELECT full_name, designation, profile_photo, current_posting FROM employees WHERE employee_id = @employeeId');
+    if (!empResult.recordset.length) {
+      console.error('Employee not found for employeeId:', employeeId);
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    const { full_name: employeeName, designation, profile_photo, current_posting: posting } = empResult.recordset[0];
+    if (!designation) {
+      console.error('Employee designation not found for employeeId:', employeeId);
+      return res.status(400).json({ error: 'Employee designation not found' });
+    }
+
+    // e.g. RH can only be taken on restricted holidays listed for the employee's posting
+    if (leaveType.restrictedHolidaysOnly) {
+      const restricted = await getHolidayMap(pool.request(), startDate, endDate, { type: 'Restricted', posting });
+      const missing = calculateLeaveDays(startDate, endDate).breakdown
+        .map(entry => entry.date)
+        .filter(date => !restricted.has(date));
+      if (missing.length) {
+        return validationErrorResponse(res, {
+          startDate: `${type} leave can only be applied on a listed restricted holiday`
+        }, { invalidDates: missing });
+      }
+    }
+
+    // Weekly offs and gazetted holidays are excluded according to the leave type's rule
+    const holidays = await getHolidayMap(pool.request(), startDate, endDate, { posting });
+    const rule = { countWeeklyOffs: leaveType.countsWeeklyOffs, countHolidays: leaveType.countsHolidays };
+    const { days, breakdown } = calculateLeaveDays(startDate, endDate, { rule, holidays, startSession, endSession });
+    if (days === 0) {
+      return validationErrorResponse(res, { startDate: 'The selected dates contain no working days' }, { breakdown });
+    }
+    const timingErrors = validateLeaveTiming(leaveType, { startDate, days });
+    if (Object.keys(timingErrors).length) {
+      return validationErrorResponse(res, timingErrors, { days });
+    }
+    const steps = await resolveApprovalSteps(pool.request(), employeeId, type, days);
+
+    const transaction = new sql.Transaction(pool);
+    let leave;
+    await transaction.begin();
+    try {
+      const conflicts = await findOverlappingLeaves(transaction.request(), { employeeId, startDate, endDate, startSession, endSession });
+      if (conflicts.length) {
+        await transaction.rollback();
+        return overlapConflictResponse(res, conflicts);
+      }
+
+      // Days held by other pending requests are not available again
+      const balances = await getLeaveBalances(transaction.request(), employeeId, { lock: true });
+      const balance = balances[type] || { balance: 0, reserved: 0, available: 0, consumed: 0 };
+      if (balance.available < days) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: `Insufficient ${type} balance`,
+          code: 'INSUFFICIENT_BALANCE',
+          requested: days,
+          ...balance
+        });
+      }
+      // Comp-off credits are only usable until they expire
+      if (leaveType.policy.creditValidityDays) {
+        const uncovered = await findUncoveredCreditDate(transaction.request(), employeeId, balance.available, breakdown);
+        if (uncovered) {
+          await transaction.rollback();
+          return validationErrorResponse(res, {
+            [uncovered === toDateKey(startDate) ? 'startDate' : 'endDate']:
+              `Your ${type} credits do not cover ${uncovered}: the credits still available expire before it`
+          }, { uncoveredDate: uncovered, usableUntil: await latestCreditExpiry(pool.request(), employeeId) });
+        }
+      }
+
+      // e.g. sick leave needs no approval: it is approved and deducted right away
+      const autoApproved = !leaveType.requiresApproval;
+
+      const result = await transaction.request()
+        .input('employee_id', sql.VarChar, employeeId)
+        .input('employee_name', sql.VarChar, employeeName)
+        .input('type', sql.VarChar, type)
+        .input('start_date', sql.Date, startDate)
+        .input('end_date', sql.Date, endDate)
+        .input('days', sql.Decimal(5, 1), days)
+        .input('reason', sql.VarChar, reason)
+        .input('status', sql.VarChar, autoApproved ? 'Approved' : 'Pending')
+        .input('applied_on', sql.DateTime, new Date())
+        .input('location', sql.VarChar, location)
+        .input('designation', sql.VarChar, designation)
+        .input('day_breakdown', sql.NVarChar(sql.MAX), JSON.stringify(breakdown))
+        .input('start_session', sql.VarChar, startSession)
+        .input('end_session', sql.VarChar, endSession)
+        .query(`INSERT INTO leaves (employee_id, employee_name, type, start_date, end_date, days, reason, status, applied_on, location, designation, day_breakdown, start_session, end_session)
+          OUTPUT INSERTED.*
+          VALUES (@employee_id, @employee_name, @type, @start_date, @end_date, @days, @reason, @status, @applied_on, @location, @designation, @day_breakdown, @start_session, @end_session)`);
+      leave = withDayBreakdown(result.recordset[0]);
+      if (autoApproved) {
+        await postLeaveTransaction(transaction.request(), {
+          employeeId, leaveType, type: 'debit', days: -days, leaveId: leave.id, remarks: 'Leave approved automatically', createdBy: req.user.employeeId
+        });
+        const approvedResult = await transaction.request()
+          .input('id', sql.Int, leave.id)
+          .query('UPDATE leaves SET approved_date = GETDATE() OUTPUT INSERTED.* WHERE id = @id');
+        leave = withDayBreakdown(approvedResult.recordset[0]);
+      } else {
+        await createApprovalSteps(transaction, leave.id, steps);
+        leave.current_step = 1;
+      }
+
+      // Notify the first approver (or, for auto-approved leave, the manager) with sender information
+      await transaction.request()
+        .input('type', sql.VarChar, autoApproved ? 'Leave Notification' : 'New Leave Request')
+        .input('message', sql.VarChar, autoApproved
+          ? `${employeeName} (${employeeId}) is on ${type} from ${startDate} to ${endDate} (no approval required).`
+          : `New leave request from ${employeeName} (${employeeId}) for ${type} from ${startDate} to ${endDate}.`)
+        .input('user_id', sql.VarChar, approverNotificationTarget({ approver_type: steps[0].approverType, approver_id: steps[0].approverId }))
+        .input('sender_id', sql.VarChar, employeeId)
+        .input('sender_name', sql.VarChar, employeeName + ' [' + (req.headers['x-source'] === 'app' ? 'App' : 'Web') + ']')
+        .input('sender_photo', sql.VarChar, profile_photo || null)
+        .query(`INSERT INTO notifications (type, message, user_id, sender_id, sender_name, created_at, sender_photo)
+          VALUES (@type, @message, @user_id, @sender_id, @sender_name, GETDATE(), @sender_photo)`);
+      if (!autoApproved) {
+        await notifyApprovalDelegates(transaction, { approver_type: steps[0].approverType, approver_id: steps[0].approverId }, {
+          type: 'New Leave Request',
+          message: `New leave request from ${employeeName} (${employeeId}) for ${type} from ${startDate} to ${endDate}.`,
+          senderId: employeeId,
+          senderName: employeeName
+        });
+      }
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+    res.json(leave);
+  } catch (err) {
+    console.error('Error in POST /api/leaves:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all leave requests
+app.get('/api/leaves', authorize(PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
+  try {
+    const result = await pool.request().query(`
+      SELECT 
+        l.*, 
+        ISNULL(l.designation, e.designation) as designation,
+        e.designation as employee_designation
+      FROM leaves l 
+      LEFT JOIN employees e ON l.employee_id = e.employee_id 
+      ORDER BY l.applied_on DESC
+    `);
+    const transformedData = result.recordset.map(row => {
+      return {
+        id: row.id,
+        employeeId: row.employee_id,
+        employeeName: row.employee_name,
+        type: row.type,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        days: row.days,
+        reason: row.reason,
+        status: row.status,
+        appliedOn: row.applied_on,
+        location: row.location,
+        remarks: row.remarks,
+        designation: row.designation || row.employee_designation || 'Not Specified',
+        cancelRequestStatus: row.cancel_request_status,
+        cancelReason: row.cancel_reason,
+        documentPath: row.document_path
+      };
+    });
+    res.json(transformedData);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get leave requests for specific employee
+app.get('/api/leaves/:employeeId', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const result = await pool.request()
+      .input('employeeId', sql.VarChar, req.params.employeeId)
+      .query(`SELECT l.*, COALESCE(l.designation, e.designation) as designation,
+          ab.full_name as approved_by_name, ob.full_name as approved_on_behalf_of_name
+        FROM leaves l
+        LEFT JOIN employees e ON l.employee_id = e.employee_id
+        LEFT JOIN employees ab ON ab.employee_id = l.approved_by
+        LEFT JOIN employees ob ON ob.employee_id = l.approved_on_behalf_of
+        WHERE l.employee_id = @employeeId ORDER BY l.applied_on DESC`);
+    let leaves = result.recordset;
+    if (status) {
+      leaves = leaves.filter(l => (l.status || '').toLowerCase() === status.toLowerCase());
+    }
+    // Deduplicate by id, keep latest
+    const uniqueLeaves = {};
+    for (const leave of leaves) {
+      if (!uniqueLeaves[leave.id] || new Date(leave.applied_on) > new Date(uniqueLeaves[leave.id].applied_on)) {
+        uniqueLeaves[leave.id] = leave;
+      }
+    }
+    const mapped = Object.values(uniqueLeaves).map(leave => {
+      return {
+        id: leave.id,
+        leaveType: leave.type || leave.leave_type || leave.leave_type_id || '',
+        startDate: leave.start_date || leave.startDate || '',
+        endDate: leave.end_date || leave.endDate || '',
+        days: leave.days || leave.no_of_days || '',
+        startSession: leave.start_session || 'full',
+        endSession: leave.end_session || 'full',
+        isHalfDay: leave.start_session === 'first_half' || leave.start_session === 'second_half' || leave.end_session === 'first_half',
+        status: leave.status || '',
+        reason: leave.reason || '',
+        appliedDate: leave.applied_on || leave.appliedDate || leave.created_at || '',
+        approvedBy: leave.approved_by || leave.approvedBy || '',
+        approvedOnBehalfOf: leave.approved_on_behalf_of || '',
+        // e.g. "Approved by Asha Rao on behalf of Vikram Singh"
+        approvalNote: leave.approved_on_behalf_of
+          ? `Approved by ${leave.approved_by_name || leave.approved_by} on behalf of ${leave.approved_on_behalf_of_name || leave.approved_on_behalf_of}`
+          : '',
+        icon: '',
+        designation: leave.designation || '',
+        remarks: leave.remarks || '',
+        approvedDate: leave.approved_date || '',
+        rejectedDate: leave.rejected_date || '',
+        cancelledDate: leave.cancelled_date || '',
+        location: leave.location || '',
+        dayBreakdown: withDayBreakdown(leave).day_breakdown || [],
+      };
+    });
+    mapped.sort((a, b) => new Date(b.appliedDate) - new Date(a.appliedDate));
+    res.json(mapped);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve / reject leave requests
+// approveLeave and rejectLeave decide one leave in its own transaction and
+// return { status, body, before } instead of responding, so the single-leave
+// routes and the bulk endpoint share them. Approvers are checked against the
+// leave's approval steps.
+async function approveLeave(req, leaveId, remarks) {
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    
+    // Get leave details
+    const leaveResult = await transaction.request()
+      .input('id', sql.Int, leaveId)
+      .query(`
+        SELECT l.*, e.designation 
+        FROM leaves l WITH (UPDLOCK, HOLDLOCK)
+        JOIN employees e ON l.employee_id = e.employee_id
+        WHERE l.id = @id
+      `);
+    
+    if (leaveResult.recordset.length === 0) {
+      await transaction.rollback();
+      return { status: 404, body: { error: 'Leave not found' } };
+    }
+    
+    const leave = leaveResult.recordset[0];
+    const decline = async (status, body) => {
+      await transaction.rollback();
+      return { status, body, before: leave };
+    };
+    
+    // Robust status check (case-insensitive)
+    if (typeof leave.status === 'string' && leave.status.trim().toLowerCase() === 'approved') {
+      return decline(400, { error: 'Leave already approved' });
+    }
+    if ((leave.status || '').toLowerCase() !== 'pending') {
+      return decline(400, { error: `Leave is ${leave.status}` });
+    }
+    if (leave.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()) {
+      return decline(403, accessDeniedBody(req, 'approve own leave'));
+    }
+
+    // Another leave for the same days may have been approved since this one was applied
+    const conflicts = await findOverlappingLeaves(transaction.request(), {
+      employeeId: leave.employee_id,
+      startDate: leave.start_date,
+      endDate: leave.end_date,
+      startSession: leave.start_session,
+      endSession: leave.end_session,
+      excludeId: leave.id,
+      statuses: ['Approved']
+    });
+    if (conflicts.length) {
+      return decline(409, overlapConflictBody(conflicts));
+    }
+
+    // Multi-level approval: record this step, and only finalise after the last one.
+    // Leaves created before approval chains existed have no steps and need
+    // leaves:approve. A delegate acts with the authority of whoever delegated to them.
+    const steps = await getApprovalSteps(transaction.request(), leave.id);
+    const currentStep = steps.find(step => step.status === 'Pending');
+    const delegations = await getActiveDelegations(transaction.request(), req.user.employeeId);
+    const authority = resolveApprovalAuthority(req.user, currentStep || null, delegations);
+    if (!authority || (authority.onBehalfOf || '').toLowerCase() === leave.employee_id.toLowerCase()) {
+      return decline(403, accessDeniedBody(req, currentStep
+        ? `approval step ${currentStep.step_no} (${currentStep.approver_type})`
+        : PERMISSIONS.LEAVES_APPROVE));
+    }
+    const approverName = approvalActorName(req.user, authority);
+    if (currentStep) {
+      await transaction.request()
+        .input('id', sql.Int, currentStep.id)
+        .input('acted_by', sql.VarChar, req.user.employeeId)
+        .input('on_behalf_of', sql.VarChar, authority.onBehalfOf)
+        .input('remarks', sql.VarChar, remarks || null)
+        .query(`UPDATE leave_approvals SET status = 'Approved', acted_by = @acted_by, on_behalf_of = @on_behalf_of, acted_at = GETDATE(), remarks = @remarks WHERE id = @id`);
+
+      const nextStep = steps.find(step => step.step_no > currentStep.step_no && step.status === 'Pending');
+      if (nextStep) {
+        const pendingResult = await transaction.request()
+          .input('id', sql.Int, leave.id)
+          .input('current_step', sql.Int, nextStep.step_no)
+          .query('UPDATE leaves SET current_step = @current_step OUTPUT INSERTED.* WHERE id = @id');
+        const message = `Leave request ${leave.id} from ${leave.employee_name} (${leave.employee_id}) for ${leave.type} was approved by ${approverName} and awaits your approval.`;
+        await transaction.request()
+          .input('type', sql.VarChar, 'New Leave Request')
+          .input('message', sql.VarChar, message)
+          .input('user_id', sql.VarChar, approverNotificationTarget(nextStep))
+          .input('sender_id', sql.VarChar, req.user.employeeId)
+          .input('sender_name', sql.VarChar, req.user.fullName)
+          .query(`INSERT INTO notifications (type, message, user_id, sender_id, sender_name, created_at)
+            VALUES (@type, @message, @user_id, @sender_id, @sender_name, GETDATE())`);
+        await notifyApprovalDelegates(transaction, nextStep, {
+          type: 'New Leave Request', message, senderId: req.user.employeeId, senderName: req.user.fullName
+        });
+        await transaction.commit();
+        return {
+          status: 200,
+          before: leave,
+          body: {
+            success: true,
+            finalised: false,
+            leave: pendingResult.recordset[0],
+            nextStep: { stepNo: nextStep.step_no, approverType: nextStep.approver_type, approverId: nextStep.approver_id }
+          }
+        };
+      }
+    }
+    
+    // Check leave balance
+    const leaveType = await getLeaveType(transaction.request(), leave.type);
+    if (!leaveType) {
+      return decline(400, { error: 'Invalid leave type' });
+    }
+    
+    const balances = await getLeaveBalances(transaction.request(), leave.employee_id, { lock: true });
+    if (!balances) {
+      return decline(404, { error: 'Employee not found' });
+    }
+    
+    const currentBalance = balances[leaveType.code]?.balance || 0;
+    if (currentBalance < leave.days) {
+      return decline(400, {
+        error: `Insufficient ${leave.type} balance`,
+        code: 'INSUFFICIENT_BALANCE',
+        requested: Number(leave.days),
+        balance: currentBalance
+      });
+    }
+    
+    // Update leave status
+    const updateResult = await transaction.request()
+      .input('id', sql.Int, leave.id)
+      .input('approved_by', sql.VarChar, req.user.employeeId)
+      .input('approved_on_behalf_of', sql.VarChar, authority.onBehalfOf)
+      .query(`
+        UPDATE leaves 
+        SET status = 'Approved', approved_date = GETDATE(), approved_by = @approved_by,
+          approved_on_behalf_of = @approved_on_behalf_of, current_step = NULL
+        OUTPUT INSERTED.*
+        WHERE id = @id
+      `);
+    
+    // Deduct leave balance
+    await postLeaveTransaction(transaction.request(), {
+      employeeId: leave.employee_id,
+      leaveType,
+      type: 'debit',
+      days: -leave.days,
+      leaveId: leave.id,
+      remarks: 'Leave approved',
+      createdBy: req.user.employeeId
+    });
+    
+    // Notify employee about approval
+    const empInfo = await transaction.request()
+      .input('employee_id', sql.VarChar, leave.employee_id)
+      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
+    
+    let empName = empInfo.recordset[0]?.full_name || 'Employee';
+    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
+    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
+    
+    if (!/\[(App|Web)\]$/.test(empName)) {
+      empName = empName + ` [${source}]`;
+    }
+    
+    await transaction.request()
+      .input('type', sql.VarChar, 'leave_approved')
+      .input('message', sql.VarChar, `Your ${leave.type} leave request from ${leave.start_date} to ${leave.end_date} has been approved${authority.onBehalfOf ? ` by ${approverName}` : ''}.`)
+      .input('user_id', sql.VarChar, leave.employee_id)
+      .input('sender_id', sql.VarChar, leave.employee_id)
+      .input('sender_name', sql.VarChar, empName)
+      .input('sender_photo', sql.VarChar, empPhoto)
+      .query(`
+        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
+        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
+      `);
+    
+    await transaction.commit();
+    return {
+      status: 200,
+      before: leave,
+      body: { success: true, finalised: true, leave: updateResult.recordset[0], approvedBy: approverName }
+    };
+  } catch (err) {
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
+    return {
+      status: 500,
+      body: {
+        error: err.message || 'Failed to approve leave',
+        details: err.detail || null,
+        stack: err.stack || null
+      }
+    };
+  }
+}
+
+async function rejectLeave(req, leaveId, remarks) {
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    const current = await transaction.request()
+      .input('id', sql.Int, leaveId)
+      .query('SELECT * FROM leaves WITH (UPDLOCK, HOLDLOCK) WHERE id = @id');
+    if (!current.recordset.length) {
+      await transaction.rollback();
+      return { status: 404, body: { success: false, message: 'Leave request not found' } };
+    }
+    const before = current.recordset[0];
+    const decline = async (status, body) => {
+      await transaction.rollback();
+      return { status, body, before };
+    };
+    if ((before.status || '').toLowerCase() !== 'pending') {
+      return decline(400, { success: false, message: `Leave is ${before.status}` });
+    }
+
+    // Whoever holds the current approval step can reject
+    const steps = await getApprovalSteps(transaction.request(), before.id);
+    const currentStep = steps.find(step => step.status === 'Pending');
+    if (before.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()) {
+      return decline(403, accessDeniedBody(req, 'reject own leave'));
+    }
+    const delegations = await getActiveDelegations(transaction.request(), req.user.employeeId);
+    const authority = resolveApprovalAuthority(req.user, currentStep || null, delegations);
+    if (!authority || (authority.onBehalfOf || '').toLowerCase() === before.employee_id.toLowerCase()) {
+      return decline(403, accessDeniedBody(req, currentStep ? `approval step ${currentStep.step_no} (${currentStep.approver_type})` : PERMISSIONS.LEAVES_APPROVE));
+    }
+    if (currentStep) {
+      await transaction.request()
+        .input('leave_id', sql.Int, before.id)
+        .input('step_id', sql.Int, currentStep.id)
+        .input('acted_by', sql.VarChar, req.user.employeeId)
+        .input('on_behalf_of', sql.VarChar, authority.onBehalfOf)
+        .input('remarks', sql.VarChar, remarks || null)
+        .query(`
+          UPDATE leave_approvals SET status = 'Rejected', acted_by = @acted_by, on_behalf_of = @on_behalf_of, acted_at = GETDATE(), remarks = @remarks WHERE id = @step_id;
+          UPDATE leave_approvals SET status = 'Skipped' WHERE leave_id = @leave_id AND status = 'Pending';
+        `);
+    }
+
+    const result = await transaction.request()
+      .input('status', sql.VarChar, 'Rejected')
+      .input('remarks', sql.VarChar, remarks)
+      .input('id', sql.Int, before.id)
+      .query(`
+        UPDATE leaves 
+        SET status = @status, remarks = @remarks, rejected_date = GETDATE(), current_step = NULL 
+        OUTPUT INSERTED.*
+        WHERE id = @id
+      `);
+    const leave = result.recordset[0];
+    
+    // Notify employee about rejection
+    const empInfo = await transaction.request()
+      .input('employee_id', sql.VarChar, leave.employee_id)
+      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
+    
+    let empName = empInfo.recordset[0]?.full_name || 'Employee';
+    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
+    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
+    
+    if (!/\[(App|Web)\]$/.test(empName)) {
+      empName = empName + ` [${source}]`;
+    }
+    
+    await transaction.request()
+      .input('type', sql.VarChar, 'leave_rejected')
+      .input('message', sql.VarChar, `Your ${leave.type} leave request from ${leave.start_date} to ${leave.end_date} has been rejected. ${remarks ? `Reason: ${remarks}` : ''}`)
+      .input('user_id', sql.VarChar, leave.employee_id)
+      .input('sender_id', sql.VarChar, leave.employee_id)
+      .input('sender_name', sql.VarChar, empName)
+      .input('sender_photo', sql.VarChar, empPhoto)
+      .query(`
+        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
+        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
+      `);
+
+    await transaction.commit();
+    return { status: 200, before, body: { success: true, leave } };
+  } catch (err) {
+    console.error('Error in reject leave:', err);
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
+    return { status: 500, body: { success: false, message: err.message } };
+  }
+}
+
+app.patch('/api/leaves/:id/approve', async (req, res) => {
+  const result = await approveLeave(req, req.params.id, req.body.remarks);
+  if (result.before) setAuditContext(res, { before: result.before });
+  res.status(result.status).json(result.body);
+});
+
+app.patch('/api/leaves/:id/reject', async (req, res) => {
+  const result = await rejectLeave(req, req.params.id, req.body.remarks);
+  if (result.before) setAuditContext(res, { before: result.before });
+  res.status(result.status).json(result.body);
+});
+
+// Bulk approve / reject for clearing the approval queue:
+// { action: 'approve' | 'reject', leaveIds: [...], remarks }
+// Every leave is decided on its own, exactly as by the single-leave routes, so
+// one failure (e.g. insufficient balance) does not hold up the rest. Each
+// decided leave gets its own audit entry.
+const BULK_DECISION_LIMIT = 100;
+
+app.post('/api/leaves/bulk-decision', async (req, res) => {
+  try {
+    const { action, remarks } = req.body;
+    const decide = { approve: approveLeave, reject: rejectLeave }[action];
+    const fieldErrors = {};
+    if (!decide) fieldErrors.action = 'action must be approve or reject';
+    const leaveIds = Array.isArray(req.body.leaveIds) ? [...new Set(req.body.leaveIds.map(Number))] : [];
+    if (!leaveIds.length) {
+      fieldErrors.leaveIds = 'leaveIds must be a non-empty list of leave IDs';
+    } else if (leaveIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      fieldErrors.leaveIds = 'Every leave ID must be a positive integer';
+    } else if (leaveIds.length > BULK_DECISION_LIMIT) {
+      fieldErrors.leaveIds = `At most ${BULK_DECISION_LIMIT} leaves can be decided at once`;
+    }
+    if (Object.keys(fieldErrors).length) {
+      return validationErrorResponse(res, fieldErrors);
+    }
+    if (action === 'reject' && !(remarks && String(remarks).trim())) {
+      return validationErrorResponse(res, { remarks: 'Remarks are required to reject leaves' });
+    }
+
+    const results = [];
+    for (const leaveId of leaveIds) {
+      const result = await decide(req, leaveId, remarks);
+      const succeeded = result.status < 400;
+      if (succeeded) {
+        await writeAuditEntry({
+          actorId: req.user.employeeId,
+          actorRole: req.user.role,
+          action: `leave.${action}`,
+          entityType: 'leave',
+          entityId: leaveId,
+          before: result.before,
+          after: result.body,
+          source: req.headers['x-source'] === 'app' ? 'App' : 'Web',
+          ipAddress: req.ip
+        });
+      }
+      results.push(succeeded
+        ? { leaveId, success: true, finalised: result.body.finalised ?? true, status: result.body.leave?.status }
+        : {
+          leaveId,
+          success: false,
+          httpStatus: result.status,
+          error: result.body.error === 'Forbidden' ? result.body.message : (result.body.error || result.body.message),
+          code: result.body.code || null
+        });
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    setAuditContext(res, { after: { action, leaveIds, succeeded, failed: results.length - succeeded } });
+    res.json({ success: true, action, processed: results.length, succeeded, failed: results.length - succeeded, results });
+  } catch (err) {
+    console.error('Error in bulk leave decision:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cancel leave request: owners cancel their pending leave, approvers can also cancel approved leave
+app.patch('/api/leaves/:id/cancel', authorizeOwner(leaveOwner, PERMISSIONS.LEAVES_APPROVE), async (req, res) => {
+  const transaction = new sql.Transaction(pool); 
+  try {
+    await transaction.begin();
+
+    // Locked so an approval running at the same time cannot post its debit in between
+    const leaveResult = await transaction.request()
+      .input('id', sql.Int, req.params.id)
+      .query('SELECT * FROM leaves WITH (UPDLOCK, HOLDLOCK) WHERE id = @id');
+
+    if (leaveResult.recordset.length === 0) {
+      await transaction.rollback();
+      return res.status(404).json({ success: false, message: 'Leave request not found' });
+    }
+
+    const leave = leaveResult.recordset[0];
+    setAuditContext(res, { before: leave });
+
+    // Check if leave is already cancelled
+    if (leave.status === 'Cancelled') {
+      await transaction.rollback();
+      return res.status(400).json({ success: false, message: 'Leave request is already cancelled' });
+    }
+    if (leave.status !== 'Pending' && leave.status !== 'Approved') {
+      await transaction.rollback();
+      return res.status(400).json({ success: false, message: `Leave is ${leave.status}` });
+    }
+
+    // Owners can only withdraw pending leave; approved leave goes through
+    // request-cancellation or cancel-approved unless an approver cancels it
+    const isOwner = leave.employee_id.toLowerCase() === req.user.employeeId.toLowerCase();
+    if (leave.status === 'Approved' && (isOwner || !hasPermission(req.user.role, PERMISSIONS.LEAVES_APPROVE))) {
+      await transaction.rollback();
+      return denyAccess(req, res, 'cancel approved leave');
+    }
+
+    // If approved, restore the leave balance
+    if (leave.status === 'Approved') {
+      const leaveType = await getLeaveType(transaction.request(), leave.type);
+      if (!leaveType) {
+        await transaction.rollback();
+        return res.status(400).json({ success: false, message: 'Invalid leave type' });
+      }
+      await postLeaveTransaction(transaction.request(), {
+        employeeId: leave.employee_id, leaveType, type: 'reversal', leaveId: leave.id, remarks: 'Leave cancelled', createdBy: req.user.employeeId
+      });
+      await withdrawPendingModifications(transaction.request(), leave.id, req.user.employeeId);
+    }
+
+    // Update leave status to cancelled
+    const updateResult = await transaction.request()
+      .input('status', sql.VarChar, 'Cancelled')
+      .input('remarks', sql.VarChar, isOwner ? 'Cancelled by employee' : `Cancelled by ${req.user.fullName}`)
+      .input('cancelled_date', sql.DateTime, new Date())
+      .input('id', sql.Int, leave.id)
+      .input('previous_status', sql.VarChar, leave.status)
+      .query(`
+        UPDATE leaves 
+        SET status = @status, remarks = @remarks, cancelled_date = @cancelled_date, current_step = NULL
+        OUTPUT INSERTED.*
+        WHERE id = @id AND status = @previous_status
+      `);
+    if (!updateResult.recordset.length) {
+      await transaction.rollback();
+      return res.status(409).json({ success: false, message: 'Leave request was changed by someone else, please reload it' });
+    }
+
+    await transaction.commit();
+    res.json({ success: true, leave: updateResult.recordset[0] });
+  } catch (err) {
+    console.error('Error in cancel leave:', err);
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Request leave cancellation (user side)
+// Employee requests cancellation of an approved leave
+app.post('/api/leaves/:id/request-cancellation', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
+  try {
+    const leaveId = req.params.id;
+    const { cancel_reason } = req.body;
+    const employee_id = req.user.employeeId;
+    
+    // Check leave exists and is approved
+    const leaveResult = await pool.request()
+      .input('leaveId', sql.Int, leaveId)
+      .input('employee_id', sql.VarChar, employee_id)
+      .query('SELECT * FROM leaves WHERE id = @leaveId AND employee_id = @employee_id');
+    
+    if (leaveResult.recordset.length === 0) {
+      return res.status(404).json({ error: 'Leave not found' });
+    }
+    
+    const leave = leaveResult.recordset[0];
+    setAuditContext(res, { before: leave });
+    if ((leave.status || '').toLowerCase() !== 'approved') {
+      return res.status(400).json({ error: 'Only approved leaves can be cancelled' });
+    }
+    
+    if ((leave.cancel_request_status || '').toLowerCase() === 'pending') {
+      return res.status(400).json({ error: 'Cancellation already requested' });
+    }
+    const pendingModification = await pool.request()
+      .input('leave_id', sql.Int, leave.id)
+      .query(`SELECT id FROM leave_modifications WHERE leave_id = @leave_id AND status = 'Pending'`);
+    if (pendingModification.recordset.length) {
+      return res.status(400).json({ error: 'A modification request is pending for this leave' });
+    }
+    
+    // Mark leave as cancellation requested
+    await pool.request()
+      .input('cancel_request_status', sql.VarChar, 'Pending')
+      .input('cancel_reason', sql.VarChar, cancel_reason || '')
+      .input('leaveId', sql.Int, leaveId)
+      .query(`
+        UPDATE leaves 
+        SET cancel_request_status = @cancel_request_status, cancel_reason = @cancel_reason 
+        WHERE id = @leaveId
+      `);
+    
+    // Notify admin/manager with sender information
+    const empInfo = await pool.request()
+      .input('employee_id', sql.VarChar, employee_id)
+      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
+    
+    let empName = empInfo.recordset[0]?.full_name || 'Employee';
+    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
+    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
+    
+    if (!/\[(App|Web)\]$/.test(empName)) {
+      empName = empName + ` [${source}]`;
+    }
+    
+    await pool.request()
+      .input('type', sql.VarChar, 'leave_cancellation_requested')
+      .input('message', sql.VarChar, `Employee ${employee_id} requested cancellation for leave ${leaveId}`)
+      .input('sender_id', sql.VarChar, employee_id)
+      .input('sender_name', sql.VarChar, empName)
+      .input('sender_photo', sql.VarChar, empPhoto)
+      .query(`
+        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
+        VALUES (@type, @message, NULL, @sender_id, @sender_name, @sender_photo, GETDATE())
+      `);
+    
+    res.json({ success: true, message: 'Cancellation request submitted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin approves cancellation request
+app.post('/api/leaves/:id/approve-cancellation', authorize(PERMISSIONS.LEAVES_APPROVE), async (req, res) => {
+  try {
+    const leaveId = req.params.id;
+    
+    // Find leave
+    const leaveResult = await pool.request()
+      .input('leaveId', sql.Int, leaveId)
+      .query('SELECT * FROM leaves WHERE id = @leaveId');
+    
+    if (leaveResult.recordset.length === 0) {
+      return res.status(404).json({ error: 'Leave not found' });
+    }
+    
+    const leave = leaveResult.recordset[0];
+    setAuditContext(res, { before: leave });
+    if ((leave.cancel_request_status || '').toLowerCase() !== 'pending') {
+      return res.status(400).json({ error: 'No pending cancellation request' });
+    }
+    
+    // Set leave as cancelled and restore the balance together
+    const leaveType = await getLeaveType(pool.request(), leave.type);
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      const updated = await transaction.request()
+        .input('status', sql.VarChar, 'Cancelled')
+        .input('cancel_request_status', sql.VarChar, 'Approved')
+        .input('leaveId', sql.Int, leaveId)
+        .query(`
+          UPDATE leaves 
+          SET status = @status, cancel_request_status = @cancel_request_status, cancelled_date = GETDATE() 
+          WHERE id = @leaveId AND cancel_request_status = 'Pending'
+        `);
+      if (!updated.rowsAffected[0]) {
+        await transaction.rollback();
+        return res.status(409).json({ error: 'The cancellation request was already processed' });
+      }
+      if (leaveType) {
+        await postLeaveTransaction(transaction.request(), {
+          employeeId: leave.employee_id,
+          leaveType,
+          type: 'reversal',
+          leaveId: leave.id,
+          remarks: 'Cancellation request approved',
+          createdBy: req.user.employeeId
+        });
+      }
+      await withdrawPendingModifications(transaction.request(), leave.id, req.user.employeeId);
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+    
+    // Notify employee with sender information
+    const empInfo = await pool.request()
+      .input('employee_id', sql.VarChar, leave.employee_id)
+      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
+    
+    let empName = empInfo.recordset[0]?.full_name || 'Employee';
+    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
+    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
+    
+    if (!/\[(App|Web)\]$/.test(empName)) {
+      empName = empName + ` [${source}]`;
+    }
+    
+    await pool.request()
+      .input('type', sql.VarChar, 'leave_cancellation_approved')
+      .input('message', sql.VarChar, `Your leave cancellation for leave ${leaveId} was approved`)
+      .input('user_id', sql.VarChar, leave.employee_id)
+      .input('sender_id', sql.VarChar, leave.employee_id)
+      .input('sender_name', sql.VarChar, empName)
+      .input('sender_photo', sql.VarChar, empPhoto)
+      .query(`
+        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
+        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
+      `);
+    
+    res.json({ success: true, message: 'Leave cancellation approved and leave cancelled' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin rejects cancellation request
+app.post('/api/leaves/:id/reject-cancellation', authorize(PERMISSIONS.LEAVES_APPROVE), async (req, res) => {
+  try {
+    const leaveId = req.params.id;
+    const { remarks } = req.body;
+    
+    // Find leave
+    const leaveResult = await pool.request()
+      .input('leaveId', sql.Int, leaveId)
+      .query('SELECT * FROM leaves WHERE id = @leaveId');
+    
+    if (leaveResult.recordset.length === 0) {
+      return res.status(404).json({ error: 'Leave not found' });
+    }
+    
+    const leave = leaveResult.recordset[0];
+    setAuditContext(res, { before: leave });
+    if ((leave.cancel_request_status || '').toLowerCase() !== 'pending') {
+      return res.status(400).json({ error: 'No pending cancellation request' });
+    }
+    
+    // Revert cancellation request
+    await pool.request()
+      .input('cancel_request_status', sql.VarChar, 'Rejected')
+      .input('cancel_reason', sql.VarChar, remarks || '')
+      .input('leaveId', sql.Int, leaveId)
+      .query(`
+        UPDATE leaves 
+        SET cancel_request_status = @cancel_request_status, cancel_reason = @cancel_reason 
+        WHERE id = @leaveId
+      `);
+    
+    // Notify employee with sender information
+    const empInfo = await pool.request()
+      .input('employee_id', sql.VarChar, leave.employee_id)
+      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
+    
+    let empName = empInfo.recordset[0]?.full_name || 'Employee';
+    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
+    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
+    
+    if (!/\[(App|Web)\]$/.test(empName)) {
+      empName = empName + ` [${source}]`;
+    }
+    
+    await pool.request()
+      .input('type', sql.VarChar, 'leave_cancellation_rejected')
+      .input('message', sql.VarChar, `Your leave cancellation for leave ${leaveId} was rejected. ${remarks || ''}`)
+      .input('user_id', sql.VarChar, leave.employee_id)
+      .input('sender_id', sql.VarChar, leave.employee_id)
+      .input('sender_name', sql.VarChar, empName)
+      .input('sender_photo', sql.VarChar, empPhoto)
+      .query(`
+        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
+        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
+      `);
+    
+    res.json({ success: true, message: 'Leave cancellation rejected' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Leave modifications
+// An employee returning early or extending an approved leave proposes new dates.
+// The request goes to the leave's final approver (its reporting manager when the
+// leave had no approval steps); on approval the leave takes the new dates and the
+// ledger is adjusted by the difference in days. Types that need no approval are
+// modified right away.
+function formatLeaveModification(row) {
+  let dayBreakdown = null;
+  try {
+    dayBreakdown = row.day_breakdown ? JSON.parse(row.day_breakdown) : null;
+  } catch (e) {
+    dayBreakdown = null;
+  }
+  return {
+    id: row.id,
+    leaveId: row.leave_id,
+    employeeId: row.employee_id,
+    startDate: toDateKey(row.start_date),
+    endDate: toDateKey(row.end_date),
+    startSession: row.start_session,
+    endSession: row.end_session,
+    days: Number(row.days),
+    previousDays: Number(row.previous_days),
+    difference: Number(row.days) - Number(row.previous_days),
+    dayBreakdown,
+    reason: row.reason,
+    approverType: row.approver_type,
+    approverId: row.approver_id,
+    status: row.status,
+    requestedAt: row.requested_at,
+    actedBy: row.acted_by,
+    actedAt: row.acted_at,
+    remarks: row.remarks
+  };
+}
+
+// Moves the leave to the modification's dates and posts the difference to the
+// ledger. Runs inside the caller's transaction; returns the updated leave.
+async function applyLeaveModification(transaction, modification, leave, leaveType, actedBy) {
+  const updated = await transaction.request()
+    .input('id', sql.Int, leave.id)
+    .input('start_date', sql.Date, modification.start_date)
+    .input('end_date', sql.Date, modification.end_date)
+    .input('start_session', sql.VarChar, modification.start_session)
+    .input('end_session', sql.VarChar, modification.end_session)
+    .input('days', sql.Decimal(5, 1), modification.days)
+    .input('day_breakdown', sql.NVarChar(sql.MAX), modification.day_breakdown)
+    .query(`UPDATE leaves SET start_date = @start_date, end_date = @end_date, start_session = @start_session,
+        end_session = @end_session, days = @days, day_breakdown = @day_breakdown
+      OUTPUT INSERTED.*
+      WHERE id = @id`);
+
+  const difference = Number(modification.days) - Number(modification.previous_days);
+  if (difference) {
+    await postLeaveTransaction(transaction.request(), {
+      employeeId: leave.employee_id,
+      leaveType,
+      type: 'adjustment',
+      days: -difference,
+      leaveId: leave.id,
+      reference: `MOD-${modification.id}`,
+      remarks: `Leave ${difference > 0 ? 'extended' : 'shortened'} to ${toDateKey(modification.start_date)} - ${toDateKey(modification.end_date)}`,
+      createdBy: actedBy
+    });
+  }
+  await transaction.request()
+    .input('id', sql.Int, modification.id)
+    .input('acted_by', sql.VarChar, actedBy)
+    .query(`UPDATE leave_modifications SET status = 'Approved', acted_by = @acted_by, acted_at = GETDATE() WHERE id = @id`);
+  return withDayBreakdown(updated.recordset[0]);
+}
+
+async function notifyLeaveModification(request, { type, message, userId, senderId }) {
+  await request
+    .input('type', sql.VarChar, type)
+    .input('message', sql.VarChar, message)
+    .input('user_id', sql.VarChar, userId)
+    .input('sender_id', sql.VarChar, senderId)
+    .query(`
+      INSERT INTO notifications (type, message, user_id, sender_id, created_at)
+      VALUES (@type, @message, @user_id, @sender_id, GETDATE())
+    `);
+}
+
+// A cancelled leave cannot be modified any more: its pending modification is
+// withdrawn in the same transaction, releasing any extension days it reserved
+async function withdrawPendingModifications(request, leaveId, actedBy) {
+  await request
+    .input('leave_id', sql.Int, leaveId)
+    .input('acted_by', sql.VarChar, actedBy)
+    .query(`UPDATE leave_modifications SET status = 'Withdrawn', acted_by = @acted_by, acted_at = GETDATE(),
+        remarks = 'Leave cancelled'
+      WHERE leave_id = @leave_id AND status = 'Pending'`);
+}
+
+// Propose new dates for an approved leave: { startDate, endDate, startSession, endSession, reason }
+app.post('/api/leaves/:id/modifications', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+    const { employeeId } = req.user;
+    const leaveResult = await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .input('employee_id', sql.VarChar, employeeId)
+      .query(`SELECT l.*, e.current_posting, e.reports_to FROM leaves l
+        JOIN employees e ON e.employee_id = l.employee_id
+        WHERE l.id = @id AND l.employee_id = @employee_id`);
+    if (!leaveResult.recordset.length) {
+      return res.status(404).json({ error: 'Leave not found' });
+    }
+    const leave = leaveResult.recordset[0];
+    setAuditContext(res, { before: leave });
+    if (leave.status !== 'Approved') {
+      return res.status(400).json({ error: 'Only approved leaves can be modified' });
+    }
+    if ((leave.cancel_request_status || '').toLowerCase() === 'pending') {
+      return res.status(400).json({ error: 'A cancellation request is pending for this leave' });
+    }
+    const leaveType = await getLeaveType(pool.request(), leave.type);
+    if (!leaveType) {
+      return res.status(400).json({ error: 'Invalid leave type' });
+    }
+
+    const fieldErrors = {};
+    if (!startDate || isNaN(new Date(startDate))) fieldErrors.startDate = 'A valid start date is required';
+    if (!endDate || isNaN(new Date(endDate))) {
+      fieldErrors.endDate = 'A valid end date is required';
+    } else if (!fieldErrors.startDate && toDateKey(endDate) < toDateKey(startDate)) {
+      fieldErrors.endDate = 'End date cannot be before start date';
+    }
+    if (Object.keys(fieldErrors).length) {
+      return validationErrorResponse(res, fieldErrors);
+    }
+    const sessionError = validateSessions(startDate, endDate, req.body.startSession, req.body.endSession);
+    if (sessionError) {
+      return validationErrorResponse(res, { [sessionError.field]: sessionError.message });
+    }
+    const startSession = normalizeSession(req.body.startSession);
+    const endSession = toDateKey(startDate) === toDateKey(endDate) ? startSession : normalizeSession(req.body.endSession);
+    if (!leaveType.allowHalfDay && (startSession !== 'full' || endSession !== 'full')) {
+      return validationErrorResponse(res, {
+        [startSession !== 'full' ? 'startSession' : 'endSession']: `${leaveType.name} cannot be taken for half a day`
+      });
+    }
+    if (toDateKey(startDate) === toDateKey(leave.start_date) && toDateKey(endDate) === toDateKey(leave.end_date) &&
+      startSession === (leave.start_session || 'full') && endSession === (leave.end_session || 'full')) {
+      return validationErrorResponse(res, { startDate: 'The new dates are the same as the current ones' });
+    }
+
+    const posting = leave.current_posting;
+    if (leaveType.restrictedHolidaysOnly) {
+      const restricted = await getHolidayMap(pool.request(), startDate, endDate, { type: 'Restricted', posting });
+      const missing = calculateLeaveDays(startDate, endDate).breakdown
+        .map(entry => entry.date)
+        .filter(date => !restricted.has(date));
+      if (missing.length) {
+        return validationErrorResponse(res, {
+          startDate: `${leaveType.code} leave can only be applied on a listed restricted holiday`
+        }, { invalidDates: missing });
+      }
+    }
+    const holidays = await getHolidayMap(pool.request(), startDate, endDate, { posting });
+    const rule = { countWeeklyOffs: leaveType.countsWeeklyOffs, countHolidays: leaveType.countsHolidays };
+    const { days, breakdown } = calculateLeaveDays(startDate, endDate, { rule, holidays, startSession, endSession });
+    if (days === 0) {
+      return validationErrorResponse(res, { startDate: 'The selected dates contain no working days' }, { breakdown });
+    }
+    // Notice and back-dating only apply to a start date that moves
+    const timingErrors = validateLeaveTiming(leaveType, { startDate, days });
+    if (toDateKey(startDate) === toDateKey(leave.start_date)) delete timingErrors.startDate;
+    if (Object.keys(timingErrors).length) {
+      return validationErrorResponse(res, timingErrors, { days });
+    }
+
+    // The leave's final approver decides, or the reporting manager (HR without one)
+    const steps = await getApprovalSteps(pool.request(), leave.id);
+    const finalStep = steps.filter(step => step.status === 'Approved').pop();
+    const approver = finalStep
+      ? { approver_type: finalStep.approver_type, approver_id: finalStep.approver_id }
+      : { approver_type: leave.reports_to ? 'manager' : 'hr', approver_id: leave.reports_to || null };
+    const difference = days - Number(leave.days);
+
+    const transaction = new sql.Transaction(pool);
+    let modification;
+    let updatedLeave = null;
+    await transaction.begin();
+    try {
+      const conflicts = await findOverlappingLeaves(transaction.request(), {
+        employeeId, startDate, endDate, startSession, endSession, excludeId: leave.id
+      });
+      if (conflicts.length) {
+        await transaction.rollback();
+        return overlapConflictResponse(res, conflicts);
+      }
+      if (difference > 0) {
+        const balances = await getLeaveBalances(transaction.request(), employeeId, { lock: true });
+        const balance = balances[leaveType.code] || { balance: 0, reserved: 0, available: 0, consumed: 0 };
+        if (balance.available < difference) {
+          await transaction.rollback();
+          return res.status(400).json({
+            error: `Insufficient ${leaveType.code} balance for the extension`,
+            code: 'INSUFFICIENT_BALANCE',
+            requested: difference,
+            ...balance
+          });
+        }
+      }
+
+      const result = await transaction.request()
+        .input('leave_id', sql.Int, leave.id)
+        .input('employee_id', sql.VarChar, employeeId)
+        .input('start_date', sql.Date, startDate)
+        .input('end_date', sql.Date, endDate)
+        .input('start_session', sql.VarChar, startSession)
+        .input('end_session', sql.VarChar, endSession)
+        .input('days', sql.Decimal(5, 1), days)
+        .input('previous_days', sql.Decimal(5, 1), leave.days)
+        .input('day_breakdown', sql.NVarChar(sql.MAX), JSON.stringify(breakdown))
+        .input('reason', sql.NVarChar, reason || null)
+        .input('approver_type', sql.VarChar, approver.approver_type)
+        .input('approver_id', sql.VarChar, approver.approver_id)
+        .query(`INSERT INTO leave_modifications (leave_id, employee_id, start_date, end_date, start_session, end_session,
+            days, previous_days, day_breakdown, reason, approver_type, approver_id)
+          OUTPUT INSERTED.*
+          VALUES (@leave_id, @employee_id, @start_date, @end_date, @start_session, @end_session,
+            @days, @previous_days, @day_breakdown, @reason, @approver_type, @approver_id)`);
+      modification = result.recordset[0];
+
+      if (!leaveType.requiresApproval) {
+        updatedLeave = await applyLeaveModification(transaction, modification, leave, leaveType, employeeId);
+        modification.status = 'Approved';
+      }
+      await notifyLeaveModification(transaction.request(), {
+        type: updatedLeave ? 'leave_modified' : 'leave_modification_requested',
+        message: updatedLeave
+          ? `Leave ${leave.id} of employee ${employeeId} was changed to ${toDateKey(startDate)} - ${toDateKey(endDate)}`
+          : `Employee ${employeeId} requested to change leave ${leave.id} to ${toDateKey(startDate)} - ${toDateKey(endDate)}`,
+        userId: updatedLeave ? leave.reports_to : approverNotificationTarget(approver),
+        senderId: employeeId
+      });
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      if (err.number === 2601 || err.number === 2627) {
+        return res.status(409).json({ error: 'A modification request is already pending for this leave' });
+      }
+      throw err;
+    }
+    res.json({ success: true, modification: formatLeaveModification(modification), ...(updatedLeave && { leave: updatedLeave }) });
+  } catch (err) {
+    console.error('Error requesting leave modification:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Leave Routes
-// Submit leave request
-app.post('/api/leaves', async (req, res) => {
+// Modification requests of a leave, newest first
+app.get('/api/leaves/:id/modifications', authorizeOwner(leaveOwner, PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
   try {
-    const { employeeId, type, startDate, endDate, reason, location } = req.body;
-    let days = 0;
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      days = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
-    }
-    // Get employee details including designation
-    const empResult = await pool.request()
-      .input('employeeId', sql.VarChar, employeeId)
-      .query('SELECT full_name, designation, profile_photo FROM employees WHERE employee_id = @employeeId');
-    if (!empResult.recordset.length) {
-      console.error('Employee not found for employeeId:', employeeId);
-      return res.status(404).json({ error: 'Employee not found' });
-    }
-    const { full_name: employeeName, designation, profile_photo } = empResult.recordset[0];
-    if (!designation) {
-      console.error('Employee designation not found for employeeId:', employeeId);
-      return res.status(400).json({ error: 'Employee designation not found' });
-    }
     const result = await pool.request()
-      .input('employee_id', sql.VarChar, employeeId)
-      .input('employee_name', sql.VarChar, employeeName)
-      .input('type', sql.VarChar, type)
-      .input('start_date', sql.Date, startDate)
-      .input('end_date', sql.Date, endDate)
-      .input('days', sql.Int, days)
-      .input('reason', sql.VarChar, reason)
-      .input('status', sql.VarChar, 'Pending')
-      .input('applied_on', sql.DateTime, new Date())
-      .input('location', sql.VarChar, location)
-      .input('designation', sql.VarChar, designation)
-      .query(`INSERT INTO leaves (employee_id, employee_name, type, start_date, end_date, days, reason, status, applied_on, location, designation)
-        OUTPUT INSERTED.*
-        VALUES (@employee_id, @employee_name, @type, @start_date, @end_date, @days, @reason, @status, @applied_on, @location, @designation)`);
-    // Add notification for admin with sender information
-    await pool.request()
-      .input('type', sql.VarChar, 'New Leave Request')
-      .input('message', sql.VarChar, `New leave request from ${employeeName} (${employeeId}) for ${type} from ${startDate} to ${endDate}.`)
-      .input('sender_id', sql.VarChar, employeeId)
-      .input('sender_name', sql.VarChar, employeeName + ' [' + (req.headers['x-source'] === 'app' ? 'App' : 'Web') + ']')
-      .input('sender_photo', sql.VarChar, profile_photo || null)
-      .query(`INSERT INTO notifications (type, message, user_id, sender_id, sender_name, created_at, sender_photo)
-        VALUES (@type, @message, NULL, @sender_id, @sender_name, GETDATE(), @sender_photo)`);
-    res.json(result.recordset[0]);
+      .input('leave_id', sql.Int, req.params.id)
+      .query('SELECT * FROM leave_modifications WHERE leave_id = @leave_id ORDER BY id DESC');
+    res.json({ success: true, modifications: result.recordset.map(formatLeaveModification) });
   } catch (err) {
-    console.error('Error in POST /api/leaves:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all leave requests
-app.get('/api/leaves', async (req, res) => {
+// Pending modification requests the current user can decide
+app.get('/api/leave-modifications/pending', authorize(PERMISSIONS.LEAVES_APPROVE), async (req, res) => {
   try {
     const result = await pool.request().query(`
-      SELECT 
-        l.*, 
-        ISNULL(l.designation, e.designation) as designation,
-        e.designation as employee_designation
-      FROM leaves l 
-      LEFT JOIN employees e ON l.employee_id = e.employee_id 
-      ORDER BY l.applied_on DESC
+      SELECT m.*, l.type, l.start_date as current_start_date, l.end_date as current_end_date, e.full_name
+      FROM leave_modifications m
+      JOIN leaves l ON l.id = m.leave_id
+      JOIN employees e ON e.employee_id = m.employee_id
+      WHERE m.status = 'Pending' AND l.status = 'Approved'
+      ORDER BY m.requested_at
     `);
-    const transformedData = result.recordset.map(row => {
-      return {
-        id: row.id,
-        employeeId: row.employee_id,
-        employeeName: row.employee_name,
+    const delegations = await getActiveDelegations(pool.request(), req.user.employeeId);
+    const modifications = result.recordset
+      .filter(row => row.employee_id.toLowerCase() !== req.user.employeeId.toLowerCase() && resolveApprovalAuthority(req.user, row, delegations))
+      .map(row => ({
+        ...formatLeaveModification(row),
+        employeeName: row.full_name,
         type: row.type,
-        startDate: row.start_date,
-        endDate: row.end_date,
-        days: row.days,
-        reason: row.reason,
-        status: row.status,
-        appliedOn: row.applied_on,
-        location: row.location,
-        remarks: row.remarks,
-        designation: row.designation || row.employee_designation || 'Not Specified',
-        cancelRequestStatus: row.cancel_request_status,
-        cancelReason: row.cancel_reason,
-        documentPath: row.document_path
-      };
-    });
-    res.json(transformedData);
+        currentStartDate: toDateKey(row.current_start_date),
+        currentEndDate: toDateKey(row.current_end_date)
+      }));
+    res.json({ success: true, modifications });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get leave requests for specific employee
-app.get('/api/leaves/:employeeId', async (req, res) => {
+// Loads a pending modification and checks the current user may decide it.
+// Sends the error response and returns null otherwise.
+async function loadModificationForDecision(request, req, res) {
+  const result = await request
+    .input('id', sql.Int, req.params.id)
+    .query(`SELECT * FROM leave_modifications WITH (UPDLOCK, HOLDLOCK) WHERE id = @id;
+      SELECT l.* FROM leaves l WITH (UPDLOCK, HOLDLOCK)
+      JOIN leave_modifications m ON m.leave_id = l.id WHERE m.id = @id;`);
+  const modification = result.recordsets[0][0];
+  if (!modification) {
+    res.status(404).json({ error: 'Modification request not found' });
+    return null;
+  }
+  if (modification.status !== 'Pending') {
+    res.status(400).json({ error: `Modification request is already ${modification.status.toLowerCase()}` });
+    return null;
+  }
+  if (modification.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()) {
+    denyAccess(req, res, 'decide own modification');
+    return null;
+  }
+  const delegations = await getActiveDelegations(pool.request(), req.user.employeeId);
+  const authority = resolveApprovalAuthority(req.user, modification, delegations);
+  if (!authority || (authority.onBehalfOf || '').toLowerCase() === modification.employee_id.toLowerCase()) {
+    denyAccess(req, res, `modification approval (${modification.approver_type})`);
+    return null;
+  }
+  return { modification, leave: result.recordsets[1][0] };
+}
+
+app.post('/api/leave-modifications/:id/approve', authorize(PERMISSIONS.LEAVES_APPROVE), async (req, res) => {
+  const transaction = new sql.Transaction(pool);
   try {
-    const { status } = req.query;
-    const result = await pool.request()
-      .input('employeeId', sql.VarChar, req.params.employeeId)
-      .query(`SELECT l.*, COALESCE(l.designation, e.designation) as designation FROM leaves l LEFT JOIN employees e ON l.employee_id = e.employee_id WHERE l.employee_id = @employeeId ORDER BY l.applied_on DESC`);
-    let leaves = result.recordset;
-    if (status) {
-      leaves = leaves.filter(l => (l.status || '').toLowerCase() === status.toLowerCase());
+    await transaction.begin();
+    const loaded = await loadModificationForDecision(transaction.request(), req, res);
+    if (!loaded) {
+      await transaction.rollback();
+      return;
     }
-    // Deduplicate by id, keep latest
-    const uniqueLeaves = {};
-    for (const leave of leaves) {
-      if (!uniqueLeaves[leave.id] || new Date(leave.applied_on) > new Date(uniqueLeaves[leave.id].applied_on)) {
-        uniqueLeaves[leave.id] = leave;
+    const { modification, leave } = loaded;
+    setAuditContext(res, { before: { modification, leave } });
+    if (leave.status !== 'Approved') {
+      await transaction.rollback();
+      return res.status(409).json({ error: 'The leave is no longer approved' });
+    }
+    const leaveType = await getLeaveType(transaction.request(), leave.type);
+    if (!leaveType) {
+      await transaction.rollback();
+      return res.status(400).json({ error: 'Invalid leave type' });
+    }
+
+    // Dates and balance may have changed since the request was made
+    const conflicts = await findOverlappingLeaves(transaction.request(), {
+      employeeId: leave.employee_id,
+      startDate: modification.start_date,
+      endDate: modification.end_date,
+      startSession: modification.start_session,
+      endSession: modification.end_session,
+      excludeId: leave.id,
+      statuses: ['Approved']
+    });
+    if (conflicts.length) {
+      await transaction.rollback();
+      return overlapConflictResponse(res, conflicts);
+    }
+    const difference = Number(modification.days) - Number(leave.days);
+    if (difference > 0) {
+      const balances = await getLeaveBalances(transaction.request(), leave.employee_id, { lock: true });
+      const balance = balances[leaveType.code] || { balance: 0, reserved: 0, available: 0, consumed: 0 };
+      // The days this request itself holds are available to it
+      const ownReservation = Math.max(0, Number(modification.days) - Number(modification.previous_days));
+      if (balance.available + ownReservation < difference) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: `Insufficient ${leaveType.code} balance for the extension`,
+          code: 'INSUFFICIENT_BALANCE',
+          requested: difference,
+          ...balance
+        });
       }
     }
-    const mapped = Object.values(uniqueLeaves).map(leave => {
-      return {
-        id: leave.id,
-        leaveType: leave.type || leave.leave_type || leave.leave_type_id || '',
-        startDate: leave.start_date || leave.startDate || '',
-        endDate: leave.end_date || leave.endDate || '',
-        days: leave.days || leave.no_of_days || '',
-        status: leave.status || '',
-        reason: leave.reason || '',
-        appliedDate: leave.applied_on || leave.appliedDate || leave.created_at || '',
-        approvedBy: leave.approved_by || leave.approvedBy || '',
-        icon: '',
-        designation: leave.designation || '',
-        remarks: leave.remarks || '',
-        approvedDate: leave.approved_date || '',
-        rejectedDate: leave.rejected_date || '',
-        cancelledDate: leave.cancelled_date || '',
-        location: leave.location || '',
-      };
+
+    // The difference is taken against the leave as it is now
+    modification.previous_days = leave.days;
+    const updatedLeave = await applyLeaveModification(transaction, modification, leave, leaveType, req.user.employeeId);
+    await notifyLeaveModification(transaction.request(), {
+      type: 'leave_modification_approved',
+      message: `Your leave ${leave.id} was changed to ${toDateKey(modification.start_date)} - ${toDateKey(modification.end_date)}`,
+      userId: leave.employee_id,
+      senderId: req.user.employeeId
     });
-    mapped.sort((a, b) => new Date(b.appliedDate) - new Date(a.appliedDate));
-    res.json(mapped);
+    await transaction.commit();
+    res.json({ success: true, leave: updatedLeave, modification: formatLeaveModification({ ...modification, status: 'Approved' }) });
   } catch (err) {
+    console.error('Error approving leave modification:', err);
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
-// Approve leave request
-// Approve leave request (robust, single implementation)
-app.patch('/api/leaves/:id/approve', async (req, res) => {
+app.post('/api/leave-modifications/:id/reject', authorize(PERMISSIONS.LEAVES_APPROVE), async (req, res) => {
   const transaction = new sql.Transaction(pool);
   try {
     await transaction.begin();
-    
-    // Get leave details
-    const leaveResult = await transaction.request()
+    const loaded = await loadModificationForDecision(transaction.request(), req, res);
+    if (!loaded) {
+      await transaction.rollback();
+      return;
+    }
+    const { modification, leave } = loaded;
+    setAuditContext(res, { before: { modification } });
+    const result = await transaction.request()
+      .input('id', sql.Int, modification.id)
+      .input('acted_by', sql.VarChar, req.user.employeeId)
+      .input('remarks', sql.NVarChar, req.body.remarks || null)
+      .query(`UPDATE leave_modifications SET status = 'Rejected', acted_by = @acted_by, acted_at = GETDATE(), remarks = @remarks
+        OUTPUT INSERTED.* WHERE id = @id`);
+    await notifyLeaveModification(transaction.request(), {
+      type: 'leave_modification_rejected',
+      message: `Your request to change leave ${leave.id} was rejected. ${req.body.remarks || ''}`,
+      userId: leave.employee_id,
+      senderId: req.user.employeeId
+    });
+    await transaction.commit();
+    res.json({ success: true, modification: formatLeaveModification(result.recordset[0]) });
+  } catch (err) {
+    console.error('Error rejecting leave modification:', err);
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The employee withdraws their own pending request
+app.post('/api/leave-modifications/:id/withdraw', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
+  try {
+    const result = await pool.request()
       .input('id', sql.Int, req.params.id)
-      .query(`
-        SELECT l.*, e.designation 
-        FROM leaves l
-        JOIN employees e ON l.employee_id = e.employee_id
-        WHERE l.id = @id
-      `);
-    
-    if (leaveResult.recordset.length === 0) {
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .query(`UPDATE leave_modifications SET status = 'Withdrawn', acted_by = @employee_id, acted_at = GETDATE()
+        OUTPUT INSERTED.*
+        WHERE id = @id AND employee_id = @employee_id AND status = 'Pending'`);
+    if (!result.recordset.length) {
+      return res.status(404).json({ error: 'No pending modification request found' });
+    }
+    res.json({ success: true, modification: formatLeaveModification(result.recordset[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Leave encashment
+// Employees can encash unused balance of types whose policy allows it, within
+// the policy's yearly limits and keeping its minimum balance. Requests go through
+// the approval chain of a leave of the same type and length; pending requests
+// reserve the days, and the final approval debits them from the ledger.
+function formatEncashment(row) {
+  return {
+    id: row.id,
+    employeeId: row.employee_id,
+    employeeName: row.full_name || null,
+    leaveType: row.leave_type,
+    days: Number(row.days),
+    reason: row.reason,
+    status: row.status,
+    currentStep: row.current_step,
+    requestedAt: row.requested_at,
+    approvedBy: row.approved_by,
+    approvedOnBehalfOf: row.approved_on_behalf_of,
+    decidedAt: row.decided_at,
+    remarks: row.remarks,
+    ledgerTransactionId: row.ledger_transaction_id
+  };
+}
+
+// Returns null when the employee may encash days of leaveType, otherwise the
+// 400 response body. The yearly limits apply to the calendar year the request
+// was filed in (year). excludeId leaves out a pending request being approved (its
+// own days are then counted as available again). Run inside a transaction.
+async function checkEncashmentRules(transaction, employeeId, leaveType, days, { year, excludeId = null }) {
+  const { encashable, encashMaxDaysPerYear, encashMaxRequestsPerYear, encashMinRetainedBalance } = leaveType.policy;
+  if (!encashable) {
+    return { error: `${leaveType.name} cannot be encashed`, code: 'ENCASHMENT_NOT_ALLOWED' };
+  }
+  if (!(days > 0) || days * 2 !== Math.floor(days * 2)) {
+    return { error: 'days must be a positive number of whole or half days', code: 'VALIDATION_FAILED', fieldErrors: { days: 'Enter a positive number of whole or half days' } };
+  }
+
+  const usage = await transaction.request()
+    .input('employee_id', sql.VarChar, employeeId)
+    .input('leave_type', sql.VarChar, leaveType.code)
+    .input('exclude_id', sql.Int, excludeId)
+    .input('year', sql.Int, year)
+    .query(`SELECT COUNT(*) as requests, ISNULL(SUM(days), 0) as days
+      FROM leave_encashments WITH (UPDLOCK, HOLDLOCK)
+      WHERE employee_id = @employee_id AND leave_type = @leave_type
+        AND status IN ('Pending', 'Approved') AND YEAR(requested_at) = @year
+        AND (@exclude_id IS NULL OR id <> @exclude_id)`);
+  const used = { requests: usage.recordset[0].requests, days: Number(usage.recordset[0].days) };
+  if (encashMaxRequestsPerYear !== null && used.requests >= encashMaxRequestsPerYear) {
+    return {
+      error: `${leaveType.code} can be encashed at most ${encashMaxRequestsPerYear} time(s) a year`,
+      code: 'ENCASHMENT_LIMIT',
+      usedThisYear: used
+    };
+  }
+  if (encashMaxDaysPerYear !== null && used.days + days > encashMaxDaysPerYear) {
+    return {
+      error: `At most ${encashMaxDaysPerYear} days of ${leaveType.code} can be encashed a year (${Math.max(0, encashMaxDaysPerYear - used.days)} left)`,
+      code: 'ENCASHMENT_LIMIT',
+      usedThisYear: used
+    };
+  }
+
+  const balances = await getLeaveBalances(transaction.request(), employeeId, { lock: true });
+  const balance = (balances && balances[leaveType.code]) || { balance: 0, reserved: 0, available: 0, consumed: 0 };
+  const available = balance.available + (excludeId ? days : 0);
+  if (available - days < encashMinRetainedBalance) {
+    return {
+      error: `At least ${encashMinRetainedBalance} days of ${leaveType.code} must remain after encashment`,
+      code: 'INSUFFICIENT_BALANCE',
+      requested: days,
+      available,
+      minRetainedBalance: encashMinRetainedBalance
+    };
+  }
+  return null;
+}
+
+async function getEncashmentSteps(request, encashmentId) {
+  const result = await request
+    .input('encashment_id', sql.Int, encashmentId)
+    .query('SELECT * FROM leave_encashment_approvals WHERE encashment_id = @encashment_id ORDER BY step_no');
+  return result.recordset;
+}
+
+async function notifyEncashmentApprover(transaction, step, { message, senderId, senderName }) {
+  await transaction.request()
+    .input('type', sql.VarChar, 'encashment_request')
+    .input('message', sql.VarChar, message)
+    .input('user_id', sql.VarChar, approverNotificationTarget(step))
+    .input('sender_id', sql.VarChar, senderId)
+    .input('sender_name', sql.VarChar, senderName)
+    .query(`INSERT INTO notifications (type, message, user_id, sender_id, sender_name, created_at)
+      VALUES (@type, @message, @user_id, @sender_id, @sender_name, GETDATE())`);
+  await notifyApprovalDelegates(transaction, step, { type: 'encashment_request', message, senderId, senderName });
+}
+
+async function notifyEncashmentEmployee(request, encashment, { type, message, senderId }) {
+  await request
+    .input('type', sql.VarChar, type)
+    .input('message', sql.VarChar, message)
+    .input('user_id', sql.VarChar, encashment.employee_id)
+    .input('sender_id', sql.VarChar, senderId)
+    .query(`INSERT INTO notifications (type, message, user_id, sender_id, created_at)
+      VALUES (@type, @message, @user_id, @sender_id, GETDATE())`);
+}
+
+// Request encashment: { leaveType (default EL), days, reason }
+app.post('/api/leave-encashments', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
+  try {
+    const { employeeId, fullName } = req.user;
+    const leaveType = await getLeaveType(pool.request(), req.body.leaveType || 'EL');
+    if (!leaveType || !leaveType.isActive) {
+      return validationErrorResponse(res, { leaveType: 'Invalid leave type' });
+    }
+    const days = Number(req.body.days);
+    const steps = await resolveApprovalSteps(pool.request(), employeeId, leaveType.code, days || 0);
+
+    const transaction = new sql.Transaction(pool);
+    let encashment;
+    await transaction.begin();
+    try {
+      const requestedAt = new Date();
+      const ruleError = await checkEncashmentRules(transaction, employeeId, leaveType, days, { year: requestedAt.getFullYear() });
+      if (ruleError) {
+        await transaction.rollback();
+        return res.status(400).json({ success: false, ...ruleError });
+      }
+      const result = await transaction.request()
+        .input('employee_id', sql.VarChar, employeeId)
+        .input('leave_type', sql.VarChar, leaveType.code)
+        .input('days', sql.Decimal(5, 1), days)
+        .input('reason', sql.NVarChar, req.body.reason || null)
+        .input('requested_at', sql.DateTime, requestedAt)
+        .query(`INSERT INTO leave_encashments (employee_id, leave_type, days, reason, current_step, requested_at)
+          OUTPUT INSERTED.*
+          VALUES (@employee_id, @leave_type, @days, @reason, 1, @requested_at)`);
+      encashment = result.recordset[0];
+      for (const [index, step] of steps.entries()) {
+        await transaction.request()
+          .input('encashment_id', sql.Int, encashment.id)
+          .input('step_no', sql.Int, index + 1)
+          .input('approver_type', sql.VarChar, step.approverType)
+          .input('approver_id', sql.VarChar, step.approverId)
+          .query(`INSERT INTO leave_encashment_approvals (encashment_id, step_no, approver_type, approver_id)
+            VALUES (@encashment_id, @step_no, @approver_type, @approver_id)`);
+      }
+      await notifyEncashmentApprover(transaction, { approver_type: steps[0].approverType, approver_id: steps[0].approverId }, {
+        message: `${fullName} (${employeeId}) requested encashment of ${days} day(s) of ${leaveType.code}.`,
+        senderId: employeeId,
+        senderName: fullName
+      });
+      await transaction.commit();
+    } catch (err) {
       await transaction.rollback();
-      return res.status(404).json({ error: 'Leave not found' });
+      throw err;
     }
-    
-    const leave = leaveResult.recordset[0];
-    
-    // Robust status check (case-insensitive)
-    if (typeof leave.status === 'string' && leave.status.trim().toLowerCase() === 'approved') {
+    res.json({ success: true, encashment: formatEncashment(encashment) });
+  } catch (err) {
+    console.error('Error requesting leave encashment:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Own encashment requests; ?employeeId= for someone else's needs leaves:read:any
+app.get('/api/leave-encashments', async (req, res) => {
+  try {
+    const employeeId = req.query.employeeId || req.user.employeeId;
+    if (employeeId.toLowerCase() !== req.user.employeeId.toLowerCase() && !hasPermission(req.user.role, PERMISSIONS.LEAVES_READ_ANY)) {
+      return denyAccess(req, res, PERMISSIONS.LEAVES_READ_ANY);
+    }
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, employeeId)
+      .input('status', sql.VarChar, req.query.status || null)
+      .query(`SELECT * FROM leave_encashments
+        WHERE employee_id = @employee_id AND (@status IS NULL OR status = @status)
+        ORDER BY requested_at DESC`);
+    res.json({ success: true, encashments: result.recordset.map(formatEncashment) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Encashment requests whose current step the user (or someone they act for) can decide
+app.get('/api/leave-encashments/pending', async (req, res) => {
+  try {
+    const result = await pool.request().query(`
+      SELECT c.*, e.full_name, a.step_no, a.approver_type, a.approver_id
+      FROM leave_encashments c
+      JOIN employees e ON e.employee_id = c.employee_id
+      JOIN leave_encashment_approvals a ON a.encashment_id = c.id AND a.step_no = c.current_step
+      WHERE c.status = 'Pending' AND a.status = 'Pending'
+      ORDER BY c.requested_at
+    `);
+    const delegations = await getActiveDelegations(pool.request(), req.user.employeeId);
+    const encashments = [];
+    for (const row of result.recordset) {
+      if (row.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()) continue;
+      const authority = resolveApprovalAuthority(req.user, row, delegations);
+      if (!authority || (authority.onBehalfOf || '').toLowerCase() === row.employee_id.toLowerCase()) continue;
+      encashments.push({ ...formatEncashment(row), approverType: row.approver_type, onBehalfOf: authority.onBehalfOf });
+    }
+    res.json({ success: true, count: encashments.length, encashments });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Loads a pending encashment with its current step and checks the user may
+// decide it. Sends the error response and returns null otherwise.
+async function loadEncashmentForDecision(transaction, req, res) {
+  const result = await transaction.request()
+    .input('id', sql.Int, req.params.id)
+    .query('SELECT * FROM leave_encashments WITH (UPDLOCK, HOLDLOCK) WHERE id = @id');
+  const encashment = result.recordset[0];
+  if (!encashment) {
+    res.status(404).json({ error: 'Encashment request not found' });
+    return null;
+  }
+  if (encashment.status !== 'Pending') {
+    res.status(400).json({ error: `Encashment request is already ${encashment.status.toLowerCase()}` });
+    return null;
+  }
+  if (encashment.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()) {
+    denyAccess(req, res, 'decide own encashment');
+    return null;
+  }
+  const steps = await getEncashmentSteps(transaction.request(), encashment.id);
+  const currentStep = steps.find(step => step.status === 'Pending');
+  const delegations = await getActiveDelegations(transaction.request(), req.user.employeeId);
+  const authority = resolveApprovalAuthority(req.user, currentStep || null, delegations);
+  if (!authority || (authority.onBehalfOf || '').toLowerCase() === encashment.employee_id.toLowerCase()) {
+    denyAccess(req, res, currentStep ? `approval step ${currentStep.step_no} (${currentStep.approver_type})` : PERMISSIONS.LEAVES_APPROVE);
+    return null;
+  }
+  return { encashment, steps, currentStep, authority };
+}
+
+app.patch('/api/leave-encashments/:id/approve', async (req, res) => {
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    const loaded = await loadEncashmentForDecision(transaction, req, res);
+    if (!loaded) {
+      await transaction.rollback();
+      return;
+    }
+    const { encashment, steps, currentStep, authority } = loaded;
+    setAuditContext(res, { before: encashment });
+    const approverName = approvalActorName(req.user, authority);
+
+    if (currentStep) {
+      await transaction.request()
+        .input('id', sql.Int, currentStep.id)
+        .input('acted_by', sql.VarChar, req.user.employeeId)
+        .input('on_behalf_of', sql.VarChar, authority.onBehalfOf)
+        .input('remarks', sql.NVarChar, req.body.remarks || null)
+        .query(`UPDATE leave_encashment_approvals SET status = 'Approved', acted_by = @acted_by, on_behalf_of = @on_behalf_of,
+          acted_at = GETDATE(), remarks = @remarks WHERE id = @id`);
+      const nextStep = steps.find(step => step.step_no > currentStep.step_no && step.status === 'Pending');
+      if (nextStep) {
+        const pendingResult = await transaction.request()
+          .input('id', sql.Int, encashment.id)
+          .input('current_step', sql.Int, nextStep.step_no)
+          .query('UPDATE leave_encashments SET current_step = @current_step OUTPUT INSERTED.* WHERE id = @id');
+        await notifyEncashmentApprover(transaction, nextStep, {
+          message: `Encashment request ${encashment.id} of ${encashment.employee_id} for ${Number(encashment.days)} day(s) of ${encashment.leave_type} was approved by ${approverName} and awaits your approval.`,
+          senderId: req.user.employeeId,
+          senderName: req.user.fullName
+        });
+        await transaction.commit();
+        return res.json({ success: true, finalised: false, encashment: formatEncashment(pendingResult.recordset[0]) });
+      }
+    }
+
+    // Final approval: the balance and limits may have changed since the request
+    const leaveType = await getLeaveType(transaction.request(), encashment.leave_type);
+    const days = Number(encashment.days);
+    const ruleError = await checkEncashmentRules(transaction, encashment.employee_id, leaveType, days, {
+      year: new Date(encashment.requested_at).getFullYear(),
+      excludeId: encashment.id
+    });
+    if (ruleError) {
       await transaction.rollback();
-      return res.status(400).json({ error: 'Leave already approved' });
+      return res.status(400).json({ success: false, ...ruleError });
     }
-    
-    // Check leave balance
-    const balanceColumn = {
-      'CL': 'cl_balance',
-      'EL': 'el_balance',
-      'RH': 'rh_balance'
-    }[leave.type];
-    
-    if (!balanceColumn) {
+    const entry = await postLeaveTransaction(transaction.request(), {
+      employeeId: encashment.employee_id,
+      leaveType,
+      type: 'debit',
+      days: -days,
+      reference: `ENC-${encashment.id}`,
+      remarks: `Encashed ${days} day(s) of ${leaveType.code}`,
+      createdBy: req.user.employeeId
+    });
+    const updated = await transaction.request()
+      .input('id', sql.Int, encashment.id)
+      .input('approved_by', sql.VarChar, req.user.employeeId)
+      .input('approved_on_behalf_of', sql.VarChar, authority.onBehalfOf)
+      .input('ledger_transaction_id', sql.Int, entry.id)
+      .query(`UPDATE leave_encashments SET status = 'Approved', current_step = NULL, approved_by = @approved_by,
+          approved_on_behalf_of = @approved_on_behalf_of, decided_at = GETDATE(), ledger_transaction_id = @ledger_transaction_id
+        OUTPUT INSERTED.*
+        WHERE id = @id`);
+    await notifyEncashmentEmployee(transaction.request(), encashment, {
+      type: 'encashment_approved',
+      message: `Your encashment of ${days} day(s) of ${leaveType.code} was approved by ${approverName}.`,
+      senderId: req.user.employeeId
+    });
+    await transaction.commit();
+    res.json({ success: true, finalised: true, encashment: formatEncashment(updated.recordset[0]), approvedBy: approverName });
+  } catch (err) {
+    console.error('Error approving leave encashment:', err);
+    try {
       await transaction.rollback();
-      return res.status(400).json({ error: 'Invalid leave type' });
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
     }
-    
-    const employeeResult = await transaction.request()
-      .input('employee_id', sql.VarChar, leave.employee_id)
-      .query(`SELECT ${balanceColumn} FROM employees WHERE employee_id = @employee_id`);
-    
-    if (employeeResult.recordset.length === 0) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/leave-encashments/:id/reject', async (req, res) => {
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    const loaded = await loadEncashmentForDecision(transaction, req, res);
+    if (!loaded) {
       await transaction.rollback();
-      return res.status(404).json({ error: 'Employee not found' });
+      return;
     }
-    
-    const currentBalance = employeeResult.recordset[0][balanceColumn];
-    if (currentBalance < leave.days) {
-      await transaction.rollback();
-      return res.status(400).json({ 
-        error: `Insufficient ${leave.type} balance` 
-      });
+    const { encashment, currentStep, authority } = loaded;
+    setAuditContext(res, { before: encashment });
+    if (currentStep) {
+      await transaction.request()
+        .input('encashment_id', sql.Int, encashment.id)
+        .input('step_id', sql.Int, currentStep.id)
+        .input('acted_by', sql.VarChar, req.user.employeeId)
+        .input('on_behalf_of', sql.VarChar, authority.onBehalfOf)
+        .input('remarks', sql.NVarChar, req.body.remarks || null)
+        .query(`
+          UPDATE leave_encashment_approvals SET status = 'Rejected', acted_by = @acted_by, on_behalf_of = @on_behalf_of,
+            acted_at = GETDATE(), remarks = @remarks WHERE id = @step_id;
+          UPDATE leave_encashment_approvals SET status = 'Skipped' WHERE encashment_id = @encashment_id AND status = 'Pending';
+        `);
     }
-    
-    // Update leave status
-    const updateResult = await transaction.request()
-      .input('id', sql.Int, req.params.id)
-      .query(`
-        UPDATE leaves 
-        SET status = 'Approved', approved_date = GETDATE() 
+    const updated = await transaction.request()
+      .input('id', sql.Int, encashment.id)
+      .input('remarks', sql.NVarChar, req.body.remarks || null)
+      .query(`UPDATE leave_encashments SET status = 'Rejected', current_step = NULL, decided_at = GETDATE(), remarks = @remarks
         OUTPUT INSERTED.*
-        WHERE id = @id
-      `);
-    
-    // Deduct leave balance
-    await transaction.request()
-      .input('days', sql.Int, leave.days)
-      .input('employee_id', sql.VarChar, leave.employee_id)
-      .query(`
-        UPDATE employees 
-        SET ${balanceColumn} = ${balanceColumn} - @days 
-        WHERE employee_id = @employee_id
-      `);
-    
-    // Notify employee about approval
-    const empInfo = await transaction.request()
-      .input('employee_id', sql.VarChar, leave.employee_id)
-      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
-    
-    let empName = empInfo.recordset[0]?.full_name || 'Employee';
-    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
-    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
-    
-    if (!/\[(App|Web)\]$/.test(empName)) {
-      empName = empName + ` [${source}]`;
-    }
-    
-    await transaction.request()
-      .input('type', sql.VarChar, 'leave_approved')
-      .input('message', sql.VarChar, `Your ${leave.type} leave request from ${leave.start_date} to ${leave.end_date} has been approved.`)
-      .input('user_id', sql.VarChar, leave.employee_id)
-      .input('sender_id', sql.VarChar, leave.employee_id)
-      .input('sender_name', sql.VarChar, empName)
-      .input('sender_photo', sql.VarChar, empPhoto)
-      .query(`
-        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
-        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
-      `);
-    
+        WHERE id = @id`);
+    await notifyEncashmentEmployee(transaction.request(), encashment, {
+      type: 'encashment_rejected',
+      message: `Your encashment request ${encashment.id} was rejected. ${req.body.remarks || ''}`,
+      senderId: req.user.employeeId
+    });
     await transaction.commit();
-    res.json({ success: true, leave: updateResult.recordset[0] });
+    res.json({ success: true, encashment: formatEncashment(updated.recordset[0]) });
   } catch (err) {
-    await transaction.rollback();
-    res.status(500).json({ 
-      error: err.message || 'Failed to approve leave',
-      details: err.detail || null,
-      stack: err.stack || null
-    });
+    console.error('Error rejecting leave encashment:', err);
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Reject leave request
-app.patch('/api/leaves/:id/reject', async (req, res) => {
+// The employee withdraws their own pending request, releasing the reserved days
+app.post('/api/leave-encashments/:id/withdraw', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
   try {
-    const { remarks } = req.body;
     const result = await pool.request()
-      .input('status', sql.VarChar, 'Rejected')
-      .input('remarks', sql.VarChar, remarks)
       .input('id', sql.Int, req.params.id)
+      .input('employee_id', sql.VarChar, req.user.employeeId)
       .query(`
-        UPDATE leaves 
-        SET status = @status, remarks = @remarks, rejected_date = GETDATE() 
+        UPDATE leave_encashments SET status = 'Withdrawn', current_step = NULL, decided_at = GETDATE()
         OUTPUT INSERTED.*
-        WHERE id = @id
+        WHERE id = @id AND employee_id = @employee_id AND status = 'Pending';
+        UPDATE leave_encashment_approvals SET status = 'Skipped'
+        WHERE encashment_id = @id AND status = 'Pending' AND @@ROWCOUNT > 0;
       `);
-
-    if (result.recordset.length === 0) {
-      return res.status(404).json({ success: false, message: 'Leave request not found' });
+    if (!result.recordset.length) {
+      return res.status(404).json({ error: 'No pending encashment request found' });
     }
+    res.json({ success: true, encashment: formatEncashment(result.recordset[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const leave = result.recordset[0];
-    
-    // Notify employee about rejection
-    const empInfo = await pool.request()
-      .input('employee_id', sql.VarChar, leave.employee_id)
-      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
-    
-    let empName = empInfo.recordset[0]?.full_name || 'Employee';
-    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
-    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
-    
-    if (!/\[(App|Web)\]$/.test(empName)) {
-      empName = empName + ` [${source}]`;
+// Approved encashments for the accounts section, by approval date:
+// ?from=&to= (YYYY-MM-DD, default the current year), format=csv (default) or json
+app.get('/api/leave-encashments/export', authorize(PERMISSIONS.ENCASHMENTS_EXPORT), async (req, res) => {
+  try {
+    const year = new Date().getFullYear();
+    const from = req.query.from || `${year}-01-01`;
+    const to = req.query.to || `${year}-12-31`;
+    if (isNaN(new Date(from)) || isNaN(new Date(to))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
     }
-    
-    await pool.request()
-      .input('type', sql.VarChar, 'leave_rejected')
-      .input('message', sql.VarChar, `Your ${leave.type} leave request from ${leave.start_date} to ${leave.end_date} has been rejected. ${remarks ? `Reason: ${remarks}` : ''}`)
-      .input('user_id', sql.VarChar, leave.employee_id)
-      .input('sender_id', sql.VarChar, leave.employee_id)
-      .input('sender_name', sql.VarChar, empName)
-      .input('sender_photo', sql.VarChar, empPhoto)
+    const result = await pool.request()
+      .input('from', sql.Date, from)
+      .input('to', sql.Date, to)
       .query(`
-        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
-        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
+        SELECT c.id, c.employee_id, e.full_name, e.designation, e.current_posting, c.leave_type, c.days,
+          c.requested_at, c.decided_at as approved_at, c.approved_by, c.approved_on_behalf_of, c.ledger_transaction_id
+        FROM leave_encashments c
+        JOIN employees e ON e.employee_id = c.employee_id
+        WHERE c.status = 'Approved' AND c.decided_at >= @from AND c.decided_at < DATEADD(day, 1, @to)
+        ORDER BY c.decided_at, c.id
       `);
+    const fileName = `leave-encashments-${toDateKey(from)}-to-${toDateKey(to)}`;
 
-    res.json({ success: true, leave: result.recordset[0] });
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      return res.json(result.recordset.map(row => ({ ...row, days: Number(row.days) })));
+    }
+    const columns = ['id', 'employee_id', 'full_name', 'designation', 'current_posting', 'leave_type', 'days',
+      'requested_at', 'approved_at', 'approved_by', 'approved_on_behalf_of', 'ledger_transaction_id'];
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.send(toCsv(columns, result.recordset));
   } catch (err) {
-    console.error('Error in reject leave:', err);
-    res.status(500).json({ success: false, message: err.message });
+    console.error('Error exporting leave encashments:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Cancel leave request
-app.patch('/api/leaves/:id/cancel', async (req, res) => {
-  const transaction = new sql.Transaction(pool); 
-  try {
-    console.log('Starting leave cancellation process for ID:', req.params.id);
-    await transaction.begin();
+// Compensatory off
+// Work on a weekly off or gazetted holiday can be claimed (within
+// COMP_OFF_CLAIM_DAYS of the day) for a full or half day of CO leave. The claim
+// goes to the chosen approver, else the reporting manager, else HR. Each
+// approved claim is a CO credit usable until work date + the CO policy's
+// creditValidityDays; CO leave itself is applied through POST /api/leaves.
+const COMP_OFF_CLAIM_DAYS = parseInt(process.env.COMP_OFF_CLAIM_DAYS, 10) || 30;
+
+function formatCompOffClaim(row) {
+  return {
+    id: row.id,
+    employeeId: row.employee_id,
+    employeeName: row.full_name || null,
+    workDate: toDateKey(row.work_date),
+    days: Number(row.days),
+    reason: row.reason,
+    approverType: row.approver_type,
+    approverId: row.approver_id,
+    status: row.status,
+    requestedAt: row.requested_at,
+    actedBy: row.acted_by,
+    onBehalfOf: row.on_behalf_of,
+    actedAt: row.acted_at,
+    remarks: row.remarks,
+    expiresOn: row.expires_on ? toDateKey(row.expires_on) : null,
+    lapsedDays: Number(row.lapsed_days || 0),
+    lapsedAt: row.lapsed_at
+  };
+}
 
-    // Get the leave request details
-    console.log('Fetching leave request details...');
-    const leaveResult = await transaction.request()
-      .input('id', sql.Int, req.params.id)
-      .query('SELECT * FROM leaves WHERE id = @id');
-    
-    console.log('Leave request found:', leaveResult.recordset[0]);
+// Last day on which the employee's unexpired CO credits can still be used, or null
+async function latestCreditExpiry(request, employeeId) {
+  const result = await request
+    .input('employee_id', sql.VarChar, employeeId)
+    .query(`SELECT MAX(expires_on) as expires_on FROM comp_off_claims
+      WHERE employee_id = @employee_id AND status = 'Approved' AND lapsed_at IS NULL`);
+  const expiresOn = result.recordset[0].expires_on;
+  return expiresOn ? toDateKey(expiresOn) : null;
+}
 
-    if (leaveResult.recordset.length === 0) {
-      console.log('Leave request not found');
-      await transaction.rollback();
-      return res.status(404).json({ success: false, message: 'Leave request not found' });
+// First day of a leave (breakdown from calculateLeaveDays) that the employee's
+// CO credits cannot cover, or null. Older credits are used first, so the
+// available balance is made up of the newest credits (as in the lapse job); each
+// leave day then takes the earliest-expiring credit still valid on that day.
+async function findUncoveredCreditDate(request, employeeId, available, breakdown) {
+  const result = await request
+    .input('employee_id', sql.VarChar, employeeId)
+    .query(`SELECT days, expires_on FROM comp_off_claims
+      WHERE employee_id = @employee_id AND status = 'Approved' AND lapsed_at IS NULL
+      ORDER BY expires_on DESC, id DESC`);
+  const lots = [];
+  let remaining = available;
+  for (const claim of result.recordset) {
+    const days = Math.min(Number(claim.days), remaining);
+    if (days <= 0) break;
+    lots.push({ expiresOn: claim.expires_on ? toDateKey(claim.expires_on) : null, days });
+    remaining -= days;
+  }
+  // Balance that did not come from a claim (e.g. a manual adjustment) does not expire
+  if (remaining > 0) lots.push({ expiresOn: null, days: remaining });
+  lots.sort((a, b) => (a.expiresOn || '9999-12-31').localeCompare(b.expiresOn || '9999-12-31'));
+
+  for (const entry of breakdown.filter(day => day.value > 0)) {
+    let needed = entry.value;
+    for (const lot of lots) {
+      if (needed <= 0) break;
+      if (!lot.days || (lot.expiresOn && lot.expiresOn < entry.date)) continue;
+      const used = Math.min(lot.days, needed);
+      lot.days -= used;
+      needed -= used;
+    }
+    if (needed > 0) return entry.date;
+  }
+  return null;
+}
+
+// Claim a comp-off: { workDate, days (1 or 0.5, default 1), reason, approverId? }
+app.post('/api/comp-off-claims', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
+  try {
+    const { employeeId, fullName } = req.user;
+    const { workDate, reason } = req.body;
+    const days = req.body.days === undefined ? 1 : Number(req.body.days);
+    const today = localDateKey();
+    const fieldErrors = {};
+    if (!workDate || isNaN(new Date(workDate))) {
+      fieldErrors.workDate = 'A valid work date is required';
+    } else if (toDateKey(workDate) > today) {
+      fieldErrors.workDate = 'A comp-off can only be claimed for a day already worked';
+    } else if (toDateKey(workDate) < addDays(today, -COMP_OFF_CLAIM_DAYS)) {
+      fieldErrors.workDate = `A comp-off must be claimed within ${COMP_OFF_CLAIM_DAYS} days of the day worked`;
+    }
+    if (days !== 1 && days !== 0.5) fieldErrors.days = 'days must be 1 or 0.5';
+    if (!reason || !String(reason).trim()) fieldErrors.reason = 'Describe the work done';
+    if (Object.keys(fieldErrors).length) {
+      return validationErrorResponse(res, fieldErrors);
     }
 
-    const leave = leaveResult.recordset[0];
-    console.log('Current leave status:', leave.status);
+    const leaveType = await getLeaveType(pool.request(), 'CO');
+    if (!leaveType || !leaveType.isActive) {
+      return res.status(400).json({ error: 'Compensatory off is not enabled' });
+    }
+    const empResult = await pool.request()
+      .input('employee_id', sql.VarChar, employeeId)
+      .query('SELECT current_posting, reports_to FROM employees WHERE employee_id = @employee_id');
+    if (!empResult.recordset.length) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    const { current_posting: posting, reports_to: managerId } = empResult.recordset[0];
 
-    // Check if leave is already cancelled
-    if (leave.status === 'Cancelled') {
-      console.log('Leave already cancelled');
-      await transaction.rollback();
-      return res.status(400).json({ success: false, message: 'Leave request is already cancelled' });
+    // Only a weekly off or a gazetted holiday of the employee's posting earns a comp-off
+    const holidays = await getHolidayMap(pool.request(), workDate, workDate, { posting });
+    const [day] = calculateLeaveDays(workDate, workDate, { holidays }).breakdown;
+    if (day.status === 'working') {
+      return validationErrorResponse(res, { workDate: `${day.date} is a working day` });
     }
 
-    // Check if leave is already approved
-    if (leave.status === 'Approved') {
-      console.log('Leave is approved, restoring balance...');
-      // If approved, restore the leave balance
-      let balanceColumn;
-      switch (leave.type) {
-        case 'CL':
-          balanceColumn = 'cl_balance';
-          break;
-        case 'RH':
-          balanceColumn = 'rh_balance';
-          break;
-        case 'EL':
-          balanceColumn = 'el_balance';
-          break;
-        default:
-          console.log('Invalid leave type:', leave.type);
-          await transaction.rollback();
-          return res.status(400).json({ success: false, message: 'Invalid leave type' });
+    let approverId = req.body.approverId || managerId || null;
+    if (req.body.approverId) {
+      const approver = await pool.request()
+        .input('employee_id', sql.VarChar, req.body.approverId)
+        .query('SELECT employee_id, role FROM employees WHERE employee_id = @employee_id');
+      const row = approver.recordset[0];
+      if (!row || row.employee_id.toLowerCase() === employeeId.toLowerCase() || !hasPermission(row.role, PERMISSIONS.LEAVES_APPROVE)) {
+        return validationErrorResponse(res, { approverId: 'Choose an officer who can approve leave' });
       }
+      approverId = row.employee_id;
+    }
+    const step = { approver_type: approverId ? 'manager' : 'hr', approver_id: approverId };
 
-      // Restore leave balance
-      console.log('Restoring balance for column:', balanceColumn);
+    const transaction = new sql.Transaction(pool);
+    let claim;
+    await transaction.begin();
+    try {
+      const result = await transaction.request()
+        .input('employee_id', sql.VarChar, employeeId)
+        .input('work_date', sql.Date, workDate)
+        .input('days', sql.Decimal(3, 1), days)
+        .input('reason', sql.NVarChar, String(reason).trim())
+        .input('approver_type', sql.VarChar, step.approver_type)
+        .input('approver_id', sql.VarChar, step.approver_id)
+        .query(`INSERT INTO comp_off_claims (employee_id, work_date, days, reason, approver_type, approver_id)
+          OUTPUT INSERTED.*
+          VALUES (@employee_id, @work_date, @days, @reason, @approver_type, @approver_id)`);
+      claim = result.recordset[0];
+      const message = `${fullName} (${employeeId}) claimed a comp-off of ${days} day(s) for working on ${day.date}${day.holiday ? ` (${day.holiday})` : ''}.`;
       await transaction.request()
-        .input('days', sql.Int, leave.days)
-        .input('employee_id', sql.VarChar, leave.employee_id)
-        .query(`
-          UPDATE employees 
-          SET ${balanceColumn} = ${balanceColumn} + @days 
-          WHERE employee_id = @employee_id
-        `);
+        .input('type', sql.VarChar, 'comp_off_claim')
+        .input('message', sql.VarChar, message)
+        .input('user_id', sql.VarChar, approverNotificationTarget(step))
+        .input('sender_id', sql.VarChar, employeeId)
+        .input('sender_name', sql.VarChar, fullName)
+        .query(`INSERT INTO notifications (type, message, user_id, sender_id, sender_name, created_at)
+          VALUES (@type, @message, @user_id, @sender_id, @sender_name, GETDATE())`);
+      await notifyApprovalDelegates(transaction, step, { type: 'comp_off_claim', message, senderId: employeeId, senderName: fullName });
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      if (err.number === 2627 || err.number === 2601) {
+        return res.status(409).json({ error: `A comp-off has already been claimed for ${toDateKey(workDate)}` });
+      }
+      throw err;
     }
-
-    // Update leave status to cancelled
-    console.log('Updating leave status to Cancelled...');
-    const updateResult = await transaction.request()
-      .input('status', sql.VarChar, 'Cancelled')
-      .input('remarks', sql.VarChar, 'Cancelled by employee')
-      .input('cancelled_date', sql.DateTime, new Date())
-      .input('id', sql.Int, req.params.id)
-      .query(`
-        UPDATE leaves 
-        SET status = @status, remarks = @remarks, cancelled_date = @cancelled_date 
-        OUTPUT INSERTED.*
-        WHERE id = @id
-      `);
-    
-    console.log('Leave updated:', updateResult.recordset[0]);
-
-    await transaction.commit();
-    console.log('Transaction committed successfully');
-    res.json({ success: true, leave: updateResult.recordset[0] });
+    res.json({ success: true, claim: formatCompOffClaim(claim) });
   } catch (err) {
-    console.error('Error in cancel leave:', err);
-    console.error('Error details:', {
-      message: err.message,
-      stack: err.stack,
-      code: err.code,
-      detail: err.detail
-    });
-    await transaction.rollback();
-    res.status(500).json({ success: false, message: err.message });
+    console.error('Error claiming comp-off:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Request leave cancellation (user side)
-// Employee requests cancellation of an approved leave
-app.post('/api/leaves/:id/request-cancellation', async (req, res) => {
+// Own claims and CO balance; ?employeeId= for someone else's needs leaves:read:any
+app.get('/api/comp-off-claims', async (req, res) => {
   try {
-    const leaveId = req.params.id;
-    const { employee_id, cancel_reason } = req.body;
-    
-    // Check leave exists and is approved
-    const leaveResult = await pool.request()
-      .input('leaveId', sql.Int, leaveId)
-      .input('employee_id', sql.VarChar, employee_id)
-      .query('SELECT * FROM leaves WHERE id = @leaveId AND employee_id = @employee_id');
-    
-    if (leaveResult.recordset.length === 0) {
-      return res.status(404).json({ error: 'Leave not found' });
-    }
-    
-    const leave = leaveResult.recordset[0];
-    if ((leave.status || '').toLowerCase() !== 'approved') {
-      return res.status(400).json({ error: 'Only approved leaves can be cancelled' });
-    }
-    
-    if ((leave.cancel_request_status || '').toLowerCase() === 'pending') {
-      return res.status(400).json({ error: 'Cancellation already requested' });
+    const employeeId = req.query.employeeId || req.user.employeeId;
+    if (employeeId.toLowerCase() !== req.user.employeeId.toLowerCase() && !hasPermission(req.user.role, PERMISSIONS.LEAVES_READ_ANY)) {
+      return denyAccess(req, res, PERMISSIONS.LEAVES_READ_ANY);
     }
-    
-    // Mark leave as cancellation requested
-    await pool.request()
-      .input('cancel_request_status', sql.VarChar, 'Pending')
-      .input('cancel_reason', sql.VarChar, cancel_reason || '')
-      .input('leaveId', sql.Int, leaveId)
-      .query(`
-        UPDATE leaves 
-        SET cancel_request_status = @cancel_request_status, cancel_reason = @cancel_reason 
-        WHERE id = @leaveId
-      `);
-    
-    // Notify admin/manager with sender information
-    const empInfo = await pool.request()
-      .input('employee_id', sql.VarChar, employee_id)
-      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
-    
-    let empName = empInfo.recordset[0]?.full_name || 'Employee';
-    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
-    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
-    
-    if (!/\[(App|Web)\]$/.test(empName)) {
-      empName = empName + ` [${source}]`;
+    const result = await pool.request()
+      .input('employee_id', sql.VarChar, employeeId)
+      .input('status', sql.VarChar, req.query.status || null)
+      .query(`SELECT * FROM comp_off_claims
+        WHERE employee_id = @employee_id AND (@status IS NULL OR status = @status)
+        ORDER BY work_date DESC`);
+    const balances = await getLeaveBalances(pool.request(), employeeId);
+    res.json({
+      success: true,
+      balance: (balances && balances.CO) || null,
+      usableUntil: await latestCreditExpiry(pool.request(), employeeId),
+      claims: result.recordset.map(formatCompOffClaim)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pending claims the user (or someone they act for) can decide
+app.get('/api/comp-off-claims/pending', async (req, res) => {
+  try {
+    const result = await pool.request().query(`
+      SELECT c.*, e.full_name FROM comp_off_claims c
+      JOIN employees e ON e.employee_id = c.employee_id
+      WHERE c.status = 'Pending'
+      ORDER BY c.requested_at
+    `);
+    const delegations = await getActiveDelegations(pool.request(), req.user.employeeId);
+    const claims = [];
+    for (const row of result.recordset) {
+      if (row.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()) continue;
+      const authority = resolveApprovalAuthority(req.user, row, delegations);
+      if (!authority || (authority.onBehalfOf || '').toLowerCase() === row.employee_id.toLowerCase()) continue;
+      claims.push({ ...formatCompOffClaim(row), actingOnBehalfOf: authority.onBehalfOf });
     }
-    
-    await pool.request()
-      .input('type', sql.VarChar, 'leave_cancellation_requested')
-      .input('message', sql.VarChar, `Employee ${employee_id} requested cancellation for leave ${leaveId}`)
-      .input('sender_id', sql.VarChar, employee_id)
-      .input('sender_name', sql.VarChar, empName)
-      .input('sender_photo', sql.VarChar, empPhoto)
-      .query(`
-        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
-        VALUES (@type, @message, NULL, @sender_id, @sender_name, @sender_photo, GETDATE())
-      `);
-    
-    res.json({ success: true, message: 'Cancellation request submitted' });
+    res.json({ success: true, count: claims.length, claims });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Loads a pending claim and checks the user may decide it. Sends the error
+// response and returns null otherwise.
+async function loadCompOffClaimForDecision(transaction, req, res) {
+  const result = await transaction.request()
+    .input('id', sql.Int, req.params.id)
+    .query('SELECT * FROM comp_off_claims WITH (UPDLOCK, HOLDLOCK) WHERE id = @id');
+  const claim = result.recordset[0];
+  if (!claim) {
+    res.status(404).json({ error: 'Comp-off claim not found' });
+    return null;
+  }
+  if (claim.status !== 'Pending') {
+    res.status(400).json({ error: `Comp-off claim is already ${claim.status.toLowerCase()}` });
+    return null;
+  }
+  const delegations = await getActiveDelegations(transaction.request(), req.user.employeeId);
+  const authority = claim.employee_id.toLowerCase() === req.user.employeeId.toLowerCase()
+    ? null
+    : resolveApprovalAuthority(req.user, claim, delegations);
+  if (!authority || (authority.onBehalfOf || '').toLowerCase() === claim.employee_id.toLowerCase()) {
+    denyAccess(req, res, `comp-off approval (${claim.approver_type})`);
+    return null;
+  }
+  return { claim, authority };
+}
+
+app.patch('/api/comp-off-claims/:id/approve', async (req, res) => {
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    const loaded = await loadCompOffClaimForDecision(transaction, req, res);
+    if (!loaded) {
+      await transaction.rollback();
+      return;
+    }
+    const { claim, authority } = loaded;
+    setAuditContext(res, { before: claim });
+    const leaveType = await getLeaveType(transaction.request(), 'CO');
+    if (!leaveType || !leaveType.isActive) {
+      await transaction.rollback();
+      return res.status(400).json({ error: 'Compensatory off is not enabled' });
+    }
+    const days = Number(claim.days);
+    const { creditValidityDays } = leaveType.policy;
+    const expiresOn = creditValidityDays ? addDays(claim.work_date, creditValidityDays) : null;
+    const approverName = approvalActorName(req.user, authority);
+    const entry = await postLeaveTransaction(transaction.request(), {
+      employeeId: claim.employee_id,
+      leaveType,
+      type: 'credit',
+      days,
+      reference: `COFF-${claim.id}`,
+      remarks: `Comp-off for work on ${toDateKey(claim.work_date)}${expiresOn ? `, usable until ${expiresOn}` : ''}`,
+      createdBy: req.user.employeeId
+    });
+    const updated = await transaction.request()
+      .input('id', sql.Int, claim.id)
+      .input('acted_by', sql.VarChar, req.user.employeeId)
+      .input('on_behalf_of', sql.VarChar, authority.onBehalfOf)
+      .input('remarks', sql.NVarChar, req.body.remarks || null)
+      .input('expires_on', sql.Date, expiresOn)
+      .input('ledger_transaction_id', sql.Int, entry.id)
+      .query(`UPDATE comp_off_claims SET status = 'Approved', acted_by = @acted_by, on_behalf_of = @on_behalf_of,
+          acted_at = GETDATE(), remarks = @remarks, expires_on = @expires_on, ledger_transaction_id = @ledger_transaction_id
+        OUTPUT INSERTED.*
+        WHERE id = @id`);
+    await transaction.request()
+      .input('type', sql.VarChar, 'comp_off_approved')
+      .input('message', sql.VarChar, `Your comp-off claim for ${toDateKey(claim.work_date)} was approved by ${approverName}. ${days} day(s) of CO leave ${expiresOn ? `can be used until ${expiresOn}` : 'were credited'}.`)
+      .input('user_id', sql.VarChar, claim.employee_id)
+      .input('sender_id', sql.VarChar, req.user.employeeId)
+      .query(`INSERT INTO notifications (type, message, user_id, sender_id, created_at)
+        VALUES (@type, @message, @user_id, @sender_id, GETDATE())`);
+    await transaction.commit();
+    res.json({ success: true, claim: formatCompOffClaim(updated.recordset[0]), approvedBy: approverName });
   } catch (err) {
+    console.error('Error approving comp-off claim:', err);
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
-// Admin approves cancellation request
-app.post('/api/leaves/:id/approve-cancellation', async (req, res) => {
+app.patch('/api/comp-off-claims/:id/reject', async (req, res) => {
+  const transaction = new sql.Transaction(pool);
   try {
-    const leaveId = req.params.id;
-    
-    // Find leave
-    const leaveResult = await pool.request()
-      .input('leaveId', sql.Int, leaveId)
-      .query('SELECT * FROM leaves WHERE id = @leaveId');
-    
-    if (leaveResult.recordset.length === 0) {
-      return res.status(404).json({ error: 'Leave not found' });
-    }
-    
-    const leave = leaveResult.recordset[0];
-    if ((leave.cancel_request_status || '').toLowerCase() !== 'pending') {
-      return res.status(400).json({ error: 'No pending cancellation request' });
-    }
-    
-    // Set leave as cancelled
-    await pool.request()
-      .input('status', sql.VarChar, 'Cancelled')
-      .input('cancel_request_status', sql.VarChar, 'Approved')
-      .input('leaveId', sql.Int, leaveId)
-      .query(`
-        UPDATE leaves 
-        SET status = @status, cancel_request_status = @cancel_request_status, cancelled_date = GETDATE() 
-        WHERE id = @leaveId
-      `);
-    
-    // Restore leave balance
-    let balanceColumn = '';
-    switch ((leave.type || '').toUpperCase()) {
-      case 'CL': balanceColumn = 'cl_balance'; break;
-      case 'EL': balanceColumn = 'el_balance'; break;
-      case 'RH': balanceColumn = 'rh_balance'; break;
-    }
-    
-    if (balanceColumn) {
-      await pool.request()
-        .input('days', sql.Int, leave.days)
-        .input('employee_id', sql.VarChar, leave.employee_id)
-        .query(`
-          UPDATE employees 
-          SET ${balanceColumn} = ${balanceColumn} + @days 
-          WHERE employee_id = @employee_id
-        `);
-    }
-    
-    // Notify employee with sender information
-    const empInfo = await pool.request()
-      .input('employee_id', sql.VarChar, leave.employee_id)
-      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
-    
-    let empName = empInfo.recordset[0]?.full_name || 'Employee';
-    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
-    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
-    
-    if (!/\[(App|Web)\]$/.test(empName)) {
-      empName = empName + ` [${source}]`;
+    await transaction.begin();
+    const loaded = await loadCompOffClaimForDecision(transaction, req, res);
+    if (!loaded) {
+      await transaction.rollback();
+      return;
     }
-    
-    await pool.request()
-      .input('type', sql.VarChar, 'leave_cancellation_approved')
-      .input('message', sql.VarChar, `Your leave cancellation for leave ${leaveId} was approved`)
-      .input('user_id', sql.VarChar, leave.employee_id)
-      .input('sender_id', sql.VarChar, leave.employee_id)
-      .input('sender_name', sql.VarChar, empName)
-      .input('sender_photo', sql.VarChar, empPhoto)
-      .query(`
-        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
-        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
-      `);
-    
-    res.json({ success: true, message: 'Leave cancellation approved and leave cancelled' });
+    const { claim, authority } = loaded;
+    setAuditContext(res, { before: claim });
+    const updated = await transaction.request()
+      .input('id', sql.Int, claim.id)
+      .input('acted_by', sql.VarChar, req.user.employeeId)
+      .input('on_behalf_of', sql.VarChar, authority.onBehalfOf)
+      .input('remarks', sql.NVarChar, req.body.remarks || null)
+      .query(`UPDATE comp_off_claims SET status = 'Rejected', acted_by = @acted_by, on_behalf_of = @on_behalf_of,
+          acted_at = GETDATE(), remarks = @remarks
+        OUTPUT INSERTED.*
+        WHERE id = @id`);
+    await transaction.request()
+      .input('type', sql.VarChar, 'comp_off_rejected')
+      .input('message', sql.VarChar, `Your comp-off claim for ${toDateKey(claim.work_date)} was rejected. ${req.body.remarks || ''}`)
+      .input('user_id', sql.VarChar, claim.employee_id)
+      .input('sender_id', sql.VarChar, req.user.employeeId)
+      .query(`INSERT INTO notifications (type, message, user_id, sender_id, created_at)
+        VALUES (@type, @message, @user_id, @sender_id, GETDATE())`);
+    await transaction.commit();
+    res.json({ success: true, claim: formatCompOffClaim(updated.recordset[0]) });
   } catch (err) {
+    console.error('Error rejecting comp-off claim:', err);
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // The transaction was never started or is already rolled back
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
-// Admin rejects cancellation request
-app.post('/api/leaves/:id/reject-cancellation', async (req, res) => {
+app.post('/api/comp-off-claims/:id/withdraw', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
   try {
-    const leaveId = req.params.id;
-    const { remarks } = req.body;
-    
-    // Find leave
-    const leaveResult = await pool.request()
-      .input('leaveId', sql.Int, leaveId)
-      .query('SELECT * FROM leaves WHERE id = @leaveId');
-    
-    if (leaveResult.recordset.length === 0) {
-      return res.status(404).json({ error: 'Leave not found' });
+    const result = await pool.request()
+      .input('id', sql.Int, req.params.id)
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .query(`UPDATE comp_off_claims SET status = 'Withdrawn', acted_at = GETDATE()
+        OUTPUT INSERTED.*
+        WHERE id = @id AND employee_id = @employee_id AND status = 'Pending'`);
+    if (!result.recordset.length) {
+      return res.status(404).json({ error: 'No pending comp-off claim found' });
     }
-    
-    const leave = leaveResult.recordset[0];
-    if ((leave.cancel_request_status || '').toLowerCase() !== 'pending') {
-      return res.status(400).json({ error: 'No pending cancellation request' });
+    res.json({ success: true, claim: formatCompOffClaim(result.recordset[0]) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lapses CO credits whose validity ended before asOf. CO leave uses the oldest
+// credits first, so whatever is available beyond the still valid credits is
+// what is left of the expired ones. Days held by pending CO leave are kept.
+// Returns one { employeeId, lapsed } per employee with newly expired credits.
+async function lapseExpiredCompOffs(asOf = localDateKey()) {
+  const leaveType = await getLeaveType(pool.request(), 'CO');
+  if (!leaveType) return [];
+  const due = await pool.request()
+    .input('as_of', sql.Date, asOf)
+    .query(`SELECT DISTINCT employee_id FROM comp_off_claims
+      WHERE status = 'Approved' AND lapsed_at IS NULL AND expires_on < @as_of`);
+
+  const results = [];
+  for (const { employee_id: employeeId } of due.recordset) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    let lapsed = 0;
+    try {
+      const balances = await getLeaveBalances(transaction.request(), employeeId, { lock: true });
+      const claims = await transaction.request()
+        .input('employee_id', sql.VarChar, employeeId)
+        .query(`SELECT id, days, expires_on FROM comp_off_claims WITH (UPDLOCK, HOLDLOCK)
+          WHERE employee_id = @employee_id AND status = 'Approved' AND lapsed_at IS NULL
+          ORDER BY expires_on DESC, id DESC`);
+      const isValid = claim => !claim.expires_on || toDateKey(claim.expires_on) >= asOf;
+      const valid = claims.recordset.filter(isValid).reduce((sum, claim) => sum + Number(claim.days), 0);
+      const expired = claims.recordset.filter(claim => !isValid(claim));
+      const available = balances && balances.CO ? balances.CO.available : 0;
+      lapsed = Math.max(0, Math.min(available - valid, expired.reduce((sum, claim) => sum + Number(claim.days), 0)));
+
+      if (lapsed > 0) {
+        await postLeaveTransaction(transaction.request(), {
+          employeeId,
+          leaveType,
+          type: 'lapse',
+          days: -lapsed,
+          reference: `COFF-LAPSE-${asOf}`,
+          remarks: `Unused comp-off credits expired (${expired.map(claim => `COFF-${claim.id}`).join(', ')})`
+        });
+      }
+      // The newest expired credits are the unused ones
+      let remaining = lapsed;
+      for (const claim of expired) {
+        const share = Math.min(Number(claim.days), remaining);
+        remaining -= share;
+        await transaction.request()
+          .input('id', sql.Int, claim.id)
+          .input('lapsed_days', sql.Decimal(3, 1), share)
+          .query('UPDATE comp_off_claims SET lapsed_days = @lapsed_days, lapsed_at = GETDATE() WHERE id = @id');
+      }
+      if (lapsed > 0) {
+        await transaction.request()
+          .input('type', sql.VarChar, 'comp_off_lapsed')
+          .input('message', sql.VarChar, `${lapsed} day(s) of unused comp-off expired and were removed from your CO balance.`)
+          .input('user_id', sql.VarChar, employeeId)
+          .query(`INSERT INTO notifications (type, message, user_id, created_at)
+            VALUES (@type, @message, @user_id, GETDATE())`);
+      }
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
     }
-    
-    // Revert cancellation request
-    await pool.request()
-      .input('cancel_request_status', sql.VarChar, 'Rejected')
-      .input('cancel_reason', sql.VarChar, remarks || '')
-      .input('leaveId', sql.Int, leaveId)
-      .query(`
-        UPDATE leaves 
-        SET cancel_request_status = @cancel_request_status, cancel_reason = @cancel_reason 
-        WHERE id = @leaveId
-      `);
-    
-    // Notify employee with sender information
-    const empInfo = await pool.request()
-      .input('employee_id', sql.VarChar, leave.employee_id)
-      .query('SELECT full_name, profile_photo FROM employees WHERE employee_id = @employee_id');
-    
-    let empName = empInfo.recordset[0]?.full_name || 'Employee';
-    const empPhoto = empInfo.recordset[0]?.profile_photo || null;
-    const source = req.headers['x-source'] === 'app' ? 'App' : 'Web';
-    
-    if (!/\[(App|Web)\]$/.test(empName)) {
-      empName = empName + ` [${source}]`;
+    results.push({ employeeId, lapsed });
+  }
+  return results;
+}
+
+// Run the comp-off lapse now; optional asOf (YYYY-MM-DD, default today)
+app.post('/api/comp-off-claims/lapse', authorize(PERMISSIONS.BALANCES_MANAGE), async (req, res) => {
+  try {
+    const asOf = req.body.asOf || localDateKey();
+    // A future date would lapse credits that are still valid
+    if (isNaN(new Date(asOf)) || toDateKey(asOf) > localDateKey()) {
+      return res.status(400).json({ error: 'asOf must be a valid date that is not in the future' });
     }
-    
-    await pool.request()
-      .input('type', sql.VarChar, 'leave_cancellation_rejected')
-      .input('message', sql.VarChar, `Your leave cancellation for leave ${leaveId} was rejected. ${remarks || ''}`)
-      .input('user_id', sql.VarChar, leave.employee_id)
-      .input('sender_id', sql.VarChar, leave.employee_id)
-      .input('sender_name', sql.VarChar, empName)
-      .input('sender_photo', sql.VarChar, empPhoto)
-      .query(`
-        INSERT INTO notifications (type, message, user_id, sender_id, sender_name, sender_photo, created_at) 
-        VALUES (@type, @message, @user_id, @sender_id, @sender_name, @sender_photo, GETDATE())
-      `);
-    
-    res.json({ success: true, message: 'Leave cancellation rejected' });
+    const results = await lapseExpiredCompOffs(toDateKey(asOf));
+    setAuditContext(res, { after: { asOf: toDateKey(asOf), employees: results.length } });
+    res.json({
+      success: true,
+      asOf: toDateKey(asOf),
+      lapsedDays: results.reduce((sum, result) => sum + result.lapsed, 0),
+      results
+    });
   } catch (err) {
+    console.error('Error lapsing comp-off credits:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+const runCompOffLapse = async () => {
+  if (!process.env.DB_SERVER && !process.env.DB_NAME) {
+    return;
+  }
+  try {
+    const results = await lapseExpiredCompOffs();
+    const lapsed = results.filter(result => result.lapsed > 0);
+    if (lapsed.length) {
+      console.log(`✅ Lapsed expired comp-off credits of ${lapsed.length} employees`);
+    }
+  } catch (err) {
+    console.error('❌ Error lapsing comp-off credits:', err.message);
+  }
+};
+
+setTimeout(runCompOffLapse, 45000);
+setInterval(runCompOffLapse, 6 * 60 * 60 * 1000).unref();
+
 
 
 
 // Get notifications for a specific user
-app.get('/api/notifications/:userId', async (req, res) => {
+app.get('/api/notifications/:userId', authorizeOwner(ownerFromParam('userId'), PERMISSIONS.NOTIFICATIONS_ADMIN), async (req, res) => {
   try {
     const { userId } = req.params;
     const result = await pool.request()
@@ -1359,7 +6589,7 @@ app.get('/api/notifications/:userId', async (req, res) => {
 });
 
 // Get notifications for admin/global
-app.get('/api/notifications', async (req, res) => {
+app.get('/api/notifications', authorize(PERMISSIONS.NOTIFICATIONS_ADMIN), async (req, res) => {
   try {
     const result = await pool.request().query(`
       SELECT n.*, 
@@ -1378,7 +6608,7 @@ app.get('/api/notifications', async (req, res) => {
 });
 
 // Mark notification as read
-app.patch('/api/notifications/:id/read', async (req, res) => {
+app.patch('/api/notifications/:id/read', authorizeOwner(notificationOwner, PERMISSIONS.NOTIFICATIONS_ADMIN), async (req, res) => {
   try {
     await pool.request()
       .input('id', sql.Int, req.params.id)
@@ -1391,7 +6621,7 @@ app.patch('/api/notifications/:id/read', async (req, res) => {
 });
 
 // Get employee by employee_id (for Flutter)
-app.get('/api/employees/:employeeId', async (req, res) => {
+app.get('/api/employees/:employeeId', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
   try {
     const { employeeId } = req.params;
     console.log('Fetching employee profile for ID:', employeeId);
@@ -1410,20 +6640,34 @@ app.get('/api/employees/:employeeId', async (req, res) => {
       designation: employee.designation,
       email: employee.email
     });
-    res.json(employee);
+    res.json(sanitizeEmployee(employee));
   } catch (err) {
     console.error('Error fetching employee:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Get the direct reports of a manager
+app.get('/api/employees/:employeeId/reports', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  try {
+    const result = await pool.request()
+      .input('employeeId', sql.VarChar, req.params.employeeId)
+      .query(`
+        SELECT employee_id, full_name, email, designation, role, current_posting, status, profile_photo
+        FROM employees
+        WHERE LOWER(reports_to) = LOWER(@employeeId)
+        ORDER BY employee_id
+      `);
+    res.json({ success: true, count: result.recordset.length, reports: result.recordset });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Upload profile photo
 app.post('/api/employees/upload_profile_photo', uploadProfilePhoto.single('photo'), async (req, res) => {
   try {
-    const { employee_id } = req.body;
-    if (!employee_id) {
-      return res.status(400).json({ error: 'Employee ID is required' });
-    }
+    const employee_id = req.user.employeeId;
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
@@ -1474,7 +6718,7 @@ app.post('/api/employees/upload_profile_photo', uploadProfilePhoto.single('photo
 });
 
 // Delete profile photo
-app.delete('/api/employees/:employeeId/profile-photo', async (req, res) => {
+app.delete('/api/employees/:employeeId/profile-photo', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
   try {
     const { employeeId } = req.params;
 
@@ -1524,7 +6768,7 @@ app.delete('/api/employees/:employeeId/profile-photo', async (req, res) => {
 });
 
 // PATCH profile photo for employee (for React admin panel)
-app.patch('/api/employees/:employeeId/profile-photo', uploadProfilePhoto.single('profile_photo'), async (req, res) => {
+app.patch('/api/employees/:employeeId/profile-photo', authorizeOwner(ownerFromParam('employeeId'), PERMISSIONS.EMPLOYEES_MANAGE), uploadProfilePhoto.single('profile_photo'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     if (!req.file) {
@@ -1605,10 +6849,7 @@ app.get('/api/leave-suggestions', async (req, res) => {
 // Get user leave stats
 app.get('/api/user/leave-stats', async (req, res) => {
   try {
-    const { employee_id } = req.query;
-    if (!employee_id) {
-      return res.status(400).json({ error: 'Employee ID is required' });
-    }
+    const employee_id = req.user.employeeId;
 
     // Get total leaves
     const totalResult = await pool.request()
@@ -1633,11 +6874,21 @@ app.get('/api/user/leave-stats', async (req, res) => {
       .input('status', sql.VarChar, 'Rejected')
       .query('SELECT COUNT(*) as rejected FROM leaves WHERE employee_id = @employee_id AND status = @status');
 
+    // Days can be fractional because of half-day leaves
+    const daysResult = await pool.request()
+      .input('employee_id', sql.VarChar, employee_id)
+      .query(`SELECT
+        ISNULL(SUM(CASE WHEN status = 'Approved' THEN days END), 0) as approved_days,
+        ISNULL(SUM(CASE WHEN status = 'Pending' THEN days END), 0) as pending_days
+        FROM leaves WHERE employee_id = @employee_id`);
+
     res.json({
       total: parseInt(totalResult.recordset[0].total),
       approved: parseInt(approvedResult.recordset[0].approved),
       pending: parseInt(pendingResult.recordset[0].pending),
       rejected: parseInt(rejectedResult.recordset[0].rejected),
+      approvedDays: Number(daysResult.recordset[0].approved_days),
+      pendingDays: Number(daysResult.recordset[0].pending_days),
     });
   } catch (err) {
     console.error('Error fetching leave stats:', err);
@@ -1648,10 +6899,9 @@ app.get('/api/user/leave-stats', async (req, res) => {
 // Get user settings
 app.get('/api/user/settings', async (req, res) => {
   try {
-    const { employee_id } = req.query;
-    if (!employee_id) {
-      return res.status(400).json({ error: 'Employee ID is required' });
-    }
+    const mfaResult = await pool.request()
+      .input('employee_id', sql.VarChar, req.user.employeeId)
+      .query('SELECT mfa_enabled FROM employees WHERE employee_id = @employee_id');
 
     // For now, return default settings since we don't have a settings table
     res.json({
@@ -1659,10 +6909,11 @@ app.get('/api/user/settings', async (req, res) => {
       emailAlerts: true,
       leaveReminders: true,
       biometricAuth: false,
+      twoFactorAuth: !!mfaResult.recordset[0]?.mfa_enabled,
       theme: 'System',
       dateFormat: 'DD/MM/YYYY',
       language: 'English',
-      sessionTimeout: 30,
+      sessionTimeout: SESSION_IDLE_TIMEOUT_MINUTES,
     });
   } catch (err) {
     console.error('Error fetching user settings:', err);
@@ -1674,9 +6925,6 @@ app.get('/api/user/settings', async (req, res) => {
 app.put('/api/user/settings', async (req, res) => {
   try {
     const { employee_id, ...settings } = req.body;
-    if (!employee_id) {
-      return res.status(400).json({ error: 'Employee ID is required' });
-    }
 
     // For now, just return success since we don't have a settings table
     res.json({
@@ -1710,36 +6958,40 @@ app.get('/api/hr/contact', async (req, res) => {
 // Get company policies
 app.get('/api/company/policies', async (req, res) => {
   try {
-    res.json({
-      casualLeave: {
-        name: 'Casual Leave (CL)',
-        daysPerYear: 16,
-        description: 'For personal and family matters',
-        approvalRequired: true,
-        advanceNotice: '3 days'
-      },
-      earnedLeave: {
-        name: 'Earned Leave (EL)',
-        daysPerYear: 18,
-        description: 'Accumulated leave based on service',
-        approvalRequired: true,
-        advanceNotice: '7 days'
-      },
-      restrictedHoliday: {
-        name: 'Restricted Holiday (RH)',
-        daysPerYear: 3,
-        description: 'For religious and cultural observances',
-        approvalRequired: true,
-        advanceNotice: '1 day'
-      },
-      sickLeave: {
-        name: 'Sick Leave',
-        daysPerYear: 15,
-        description: 'For medical emergencies',
-        approvalRequired: false,
-        advanceNotice: 'Same day'
-      }
-    });
+    // Keyed by the camel-cased type name, e.g. casualLeave, sickLeave
+    const policies = {};
+    for (const leaveType of await getLeaveTypes(pool.request())) {
+      const key = leaveType.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+(.)/g, (match, char) => char.toUpperCase())
+        .replace(/[^a-zA-Z0-9]/g, '');
+      const notice = leaveType.policy.advanceNoticeDays;
+      const { maxConsecutiveDays, backdateDays } = leaveType.policy;
+      policies[key] = {
+        code: leaveType.code,
+        name: `${leaveType.name} (${leaveType.code})`,
+        daysPerYear: leaveType.policy.annualEntitlement,
+        ...(leaveType.policy.maxBalance !== null && { maxAccumulation: leaveType.policy.maxBalance }),
+        description: leaveType.description || '',
+        approvalRequired: leaveType.requiresApproval,
+        yearEnd: leaveType.policy.yearEndAction,
+        ...(leaveType.policy.yearEndAction === 'carry_forward' && { carryForwardCap: leaveType.policy.carryForwardCap }),
+        advanceNotice: notice ? `${notice} day${notice === 1 ? '' : 's'}` : 'Same day',
+        ...(maxConsecutiveDays !== null && { maxConsecutiveDays }),
+        backDating: backdateDays ? `Up to ${backdateDays} day${backdateDays === 1 ? '' : 's'}` : 'Not allowed',
+        encashable: leaveType.policy.encashable,
+        ...(leaveType.policy.encashable && {
+          encashment: {
+            maxDaysPerYear: leaveType.policy.encashMaxDaysPerYear,
+            maxRequestsPerYear: leaveType.policy.encashMaxRequestsPerYear,
+            minRetainedBalance: leaveType.policy.encashMinRetainedBalance
+          }
+        }),
+        ...(leaveType.policy.creditValidityDays && { creditValidity: `${leaveType.policy.creditValidityDays} days from the day worked` }),
+        halfDayAllowed: leaveType.allowHalfDay
+      };
+    }
+    res.json(policies);
   } catch (err) {
     console.error('Error fetching company policies:', err);
     res.status(500).json({ error: err.message });
@@ -1749,9 +7001,10 @@ app.get('/api/company/policies', async (req, res) => {
 // Update user password
 app.put('/api/user/password', async (req, res) => {
   try {
-    const { employee_id, currentPassword, newPassword } = req.body;
-    if (!employee_id || !currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'Employee ID, current password, and new password are required' });
+    const { currentPassword, newPassword } = req.body;
+    const employee_id = req.user.employeeId;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
     }
 
     // First verify current password
@@ -1764,15 +7017,22 @@ app.put('/api/user/password', async (req, res) => {
     }
 
     const currentStoredPassword = userResult.recordset[0].password;
-    if (currentStoredPassword !== currentPassword) {
+    if (!(await verifyPassword(currentPassword, currentStoredPassword))) {
       return res.status(400).json({ error: 'Current password is incorrect' });
     }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+    const passwordErrors = validatePassword(newPassword);
+    if (passwordErrors.length) {
+      return res.status(400).json({ error: passwordErrors[0], details: passwordErrors });
+    }
 
     // Update password
     await pool.request()
-      .input('newPassword', sql.VarChar, newPassword)
+      .input('newPassword', sql.VarChar, await hashPassword(newPassword))
       .input('employee_id', sql.VarChar, employee_id)
-      .query('UPDATE employees SET password = @newPassword WHERE employee_id = @employee_id');
+      .query('UPDATE employees SET password = @newPassword, must_change_password = 0 WHERE employee_id = @employee_id');
 
     res.json({ 
       success: true, 
@@ -1787,10 +7047,8 @@ app.put('/api/user/password', async (req, res) => {
 // Update employee profile
 app.put('/api/employees/profile', async (req, res) => {
   try {
-    const { employee_id, full_name, email, phone, department, designation } = req.body;
-    if (!employee_id) {
-      return res.status(400).json({ error: 'Employee ID is required' });
-    }
+    const { full_name, email, phone, department, designation } = req.body;
+    const employee_id = req.user.employeeId;
 
     // Build dynamic update query
     const updateFields = [];
@@ -1821,6 +7079,7 @@ app.put('/api/employees/profile', async (req, res) => {
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
+    setAuditContext(res, { before: await employeeSnapshot(employee_id) });
 
     inputs.push({ name: `param${paramCount}`, type: sql.VarChar, value: employee_id });
     const query = `
@@ -1843,7 +7102,7 @@ app.put('/api/employees/profile', async (req, res) => {
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      employee: result.recordset[0]
+      employee: sanitizeEmployee(result.recordset[0])
     });
   } catch (err) {
     console.error('Error updating employee profile:', err);
@@ -1852,11 +7111,12 @@ app.put('/api/employees/profile', async (req, res) => {
 });
 
 // Cancel approved leave request
-app.post('/api/leaves/cancel-approved', async (req, res) => {
+app.post('/api/leaves/cancel-approved', authorize(PERMISSIONS.LEAVES_APPLY), async (req, res) => {
   try {
-    const { leave_id, employee_id, cancel_reason } = req.body;
-    if (!leave_id || !employee_id) {
-      return res.status(400).json({ error: 'Leave ID and Employee ID are required' });
+    const { leave_id, cancel_reason } = req.body;
+    const employee_id = req.user.employeeId;
+    if (!leave_id) {
+      return res.status(400).json({ error: 'Leave ID is required' });
     }
 
     // Check if the leave exists and is approved
@@ -1871,6 +7131,7 @@ app.post('/api/leaves/cancel-approved', async (req, res) => {
     }
     
     const leave = leaveCheck.recordset[0];
+    setAuditContext(res, { before: leave });
     const leaveStartDate = new Date(leave.start_date);
     const today = new Date();
 
@@ -1889,48 +7150,53 @@ app.post('/api/leaves/cancel-approved', async (req, res) => {
       return res.status(400).json({ error: 'Cannot cancel leave that has already started or passed' });
     }
 
-    // Update leave status to cancelled
-    const result = await pool.request()
-      .input('cancel_reason', sql.VarChar, cancel_reason || 'Cancelled by employee')
-      .input('leave_id', sql.Int, leave_id)
-      .input('employee_id', sql.VarChar, employee_id)
-      .query(`
-        UPDATE leaves 
-        SET status = 'Cancelled', 
-            remarks = @cancel_reason,
-            cancelled_date = GETDATE(),
-            updated_at = GETDATE()
-        OUTPUT INSERTED.*
-        WHERE id = @leave_id AND employee_id = @employee_id 
-      `);
-    
-    if (result.recordset.length === 0) {
-      return res.status(500).json({ error: 'Failed to cancel leave' });
-    }
-
-    // Restore leave balance
-    let balanceColumn = '';
-    switch ((leave.type || '').toUpperCase()) {
-      case 'CL': balanceColumn = 'cl_balance'; break;
-      case 'EL': balanceColumn = 'el_balance'; break;
-      case 'RH': balanceColumn = 'rh_balance'; break;
-    }
-    if (balanceColumn) {
-      await pool.request()
-        .input('days', sql.Int, leave.days)
+    // Update leave status to cancelled and restore the balance together
+    const leaveType = await getLeaveType(pool.request(), leave.type);
+    const transaction = new sql.Transaction(pool);
+    let result;
+    await transaction.begin();
+    try {
+      result = await transaction.request()
+        .input('cancel_reason', sql.VarChar, cancel_reason || 'Cancelled by employee')
+        .input('leave_id', sql.Int, leave_id)
         .input('employee_id', sql.VarChar, employee_id)
         .query(`
-          UPDATE employees 
-          SET ${balanceColumn} = ${balanceColumn} + @days 
-          WHERE employee_id = @employee_id
+          UPDATE leaves 
+          SET status = 'Cancelled', 
+              remarks = @cancel_reason,
+              cancelled_date = GETDATE()
+          OUTPUT INSERTED.*
+          WHERE id = @leave_id AND employee_id = @employee_id AND status = 'Approved'
         `);
+      if (result.recordset.length === 0) {
+        await transaction.rollback();
+        return res.status(409).json({ error: 'Leave is no longer approved' });
+      }
+      if (leaveType) {
+        await postLeaveTransaction(transaction.request(), {
+          employeeId: employee_id,
+          leaveType,
+          type: 'reversal',
+          leaveId: leave.id,
+          remarks: cancel_reason || 'Cancelled by employee',
+          createdBy: req.user.employeeId
+        });
+      }
+      await withdrawPendingModifications(transaction.request(), leave.id, req.user.employeeId);
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
     }
 
-    // Create notification for manager
+    // Create notification for the reporting manager (global inbox if there is none)
+    const managerResult = await pool.request()
+      .input('employee_id', sql.VarChar, employee_id)
+      .query('SELECT reports_to FROM employees WHERE employee_id = @employee_id');
     await pool.request()
       .input('type', sql.VarChar, 'leave_cancelled')
       .input('message', sql.VarChar, `Leave request ${leave_id} has been cancelled by employee ${employee_id}`)
-      .input('user_id', sql.VarChar, leave.manager_id || '1')
+      .input('user_id', sql.VarChar, managerResult.recordset[0]?.reports_to || null)
       .input('sender_id', sql.VarChar, employee_id)
       .query(`
         INSERT INTO notifications (type, message, user_id, sender_id, created_at) 
@@ -1941,7 +7207,7 @@ app.post('/api/leaves/cancel-approved', async (req, res) => {
       success: true,
       message: 'Leave cancelled successfully',
       leave: result.recordset[0],
-      balanceRestored: !!balanceColumn
+      balanceRestored: !!leaveType
     });
   } catch (err) {
     console.error('Error cancelling approved leave:', err);
@@ -1949,8 +7215,13 @@ app.post('/api/leaves/cancel-approved', async (req, res) => {
   }
 });
 
+// Documents are stored under uploads/leave_docs; clients get the authenticated download URL
+function withDocumentDownloadUrl(document) {
+  return { ...document, file_url: `/api/documents/${document.id}/file` };
+}
+
 // Upload document for a leave
-app.post('/api/leaves/:id/upload-document', uploadLeaveDoc.single('document'), async (req, res) => {
+app.post('/api/leaves/:id/upload-document', authorizeOwner(leaveOwner, PERMISSIONS.DOCUMENTS_MANAGE), uploadLeaveDoc.single('document'), async (req, res) => {
   try {
     const leaveId = req.params.id;
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
@@ -1980,7 +7251,7 @@ app.post('/api/leaves/:id/upload-document', uploadLeaveDoc.single('document'), a
     
     res.json({ 
       success: true, 
-      document: result.recordset[0],
+      document: withDocumentDownloadUrl(result.recordset[0]),
       message: 'Document uploaded successfully'
     });
   } catch (err) {
@@ -1990,7 +7261,7 @@ app.post('/api/leaves/:id/upload-document', uploadLeaveDoc.single('document'), a
 });
 
 // Get documents for a leave
-app.get('/api/leaves/:id/documents', async (req, res) => {
+app.get('/api/leaves/:id/documents', authorizeOwner(leaveOwner, PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
   try {
     const leaveId = req.params.id;
     
@@ -2014,7 +7285,7 @@ app.get('/api/leaves/:id/documents', async (req, res) => {
     
     res.json({
       success: true,
-      documents: docsResult.recordset,
+      documents: docsResult.recordset.map(withDocumentDownloadUrl),
       count: docsResult.recordset.length
     });
   } catch (err) {
@@ -2023,8 +7294,28 @@ app.get('/api/leaves/:id/documents', async (req, res) => {
   }
 });
 
+// Download a document: the leave's owner, or anyone who can read other employees' leaves
+app.get('/api/documents/:documentId/file', authorizeOwner(documentOwner, PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
+  try {
+    const result = await pool.request()
+      .input('documentId', sql.Int, req.params.documentId)
+      .query('SELECT file_name, file_url FROM leave_documents WHERE id = @documentId');
+    if (!result.recordset.length || !result.recordset[0].file_url) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const { file_name: fileName, file_url: fileUrl } = result.recordset[0];
+    const fullPath = path.join(__dirname, 'uploads', 'leave_docs', path.basename(fileUrl));
+    res.download(fullPath, fileName, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Document file not found' });
+    });
+  } catch (err) {
+    console.error('Error downloading document:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Delete a document
-app.delete('/api/documents/:documentId', async (req, res) => {
+app.delete('/api/documents/:documentId', authorizeOwner(documentOwner, PERMISSIONS.DOCUMENTS_MANAGE), async (req, res) => {
   try {
     const documentId = req.params.documentId;
     
@@ -2067,7 +7358,7 @@ app.delete('/api/documents/:documentId', async (req, res) => {
 });
 
 // Update leave details API to include documents
-app.get('/api/leaves/:id/details', async (req, res) => {
+app.get('/api/leaves/:id/details', authorizeOwner(leaveOwner, PERMISSIONS.LEAVES_READ_ANY), async (req, res) => {
   try {
     const leaveResult = await pool.request()
       .input('id', sql.Int, req.params.id)
@@ -2077,7 +7368,7 @@ app.get('/api/leaves/:id/details', async (req, res) => {
       return res.status(404).json({ error: 'Leave not found' });
     }
     
-    const leave = leaveResult.recordset[0];
+    const leave = withDayBreakdown(leaveResult.recordset[0]);
     
     // Get documents for this leave
     const docsResult = await pool.request()
@@ -2089,7 +7380,12 @@ app.get('/api/leaves/:id/details', async (req, res) => {
         ORDER BY upload_date DESC
       `);
     
-    leave.documents = docsResult.recordset;
+    leave.documents = docsResult.recordset.map(withDocumentDownloadUrl);
+    leave.approvals = await getApprovalSteps(pool.request(), leave.id);
+    const modifications = await pool.request()
+      .input('leave_id', sql.Int, leave.id)
+      .query('SELECT * FROM leave_modifications WHERE leave_id = @leave_id ORDER BY id DESC');
+    leave.modifications = modifications.recordset.map(formatLeaveModification);
     
     res.json({
       success: true,
@@ -2102,7 +7398,7 @@ app.get('/api/leaves/:id/details', async (req, res) => {
 });
 
 // Get all employees with debugging info
-app.get('/api/employees/debug', async (req, res) => {
+app.get('/api/employees/debug', authorize(PERMISSIONS.SYSTEM_READ), async (req, res) => {
   try {
     const result = await pool.request().query(`
       SELECT 
@@ -2127,7 +7423,7 @@ app.get('/api/employees/debug', async (req, res) => {
 });
 
 // Update employee name and posting (for fixing data)
-app.patch('/api/employees/:employeeId/fix-data', async (req, res) => {
+app.patch('/api/employees/:employeeId/fix-data', authorize(PERMISSIONS.EMPLOYEES_FIX_DATA), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { full_name, current_posting } = req.body;
@@ -2136,6 +7432,7 @@ app.patch('/api/employees/:employeeId/fix-data', async (req, res) => {
         error: 'Both full_name and current_posting are required' 
       });
     }
+    setAuditContext(res, { before: await employeeSnapshot(employeeId) });
     const result = await pool.request()
       .input('full_name', sql.VarChar, full_name)
       .input('current_posting', sql.VarChar, current_posting)
@@ -2157,7 +7454,7 @@ app.patch('/api/employees/:employeeId/fix-data', async (req, res) => {
 });
 
 // Clear all notifications for a user
-app.delete('/api/notifications/:userId/clear', async (req, res) => {
+app.delete('/api/notifications/:userId/clear', authorizeOwner(ownerFromParam('userId'), PERMISSIONS.NOTIFICATIONS_ADMIN), async (req, res) => {
   try {
     const { userId } = req.params;
     console.log('Clear notifications for userId:', userId);
@@ -2174,7 +7471,7 @@ app.delete('/api/notifications/:userId/clear', async (req, res) => {
 });
 
 // Test endpoint to create notification with sender information
-app.post('/api/notifications/test', async (req, res) => {
+app.post('/api/notifications/test', authorize(PERMISSIONS.NOTIFICATIONS_ADMIN), async (req, res) => {
   try {
     const { message, user_id, sender_id } = req.body;
     
@@ -2211,6 +7508,119 @@ app.post('/api/notifications/test', async (req, res) => {
   }
 });
 
+// Build the WHERE clause shared by the audit list and export endpoints
+function buildAuditFilter(query, request) {
+  const conditions = [];
+  const filters = {
+    actor_id: 'actor_id = @actor_id',
+    action: 'action = @action',
+    entity_type: 'entity_type = @entity_type',
+    entity_id: 'entity_id = @entity_id',
+    source: 'source = @source'
+  };
+  for (const [name, condition] of Object.entries(filters)) {
+    if (query[name]) {
+      conditions.push(condition);
+      request.input(name, sql.VarChar, query[name]);
+    }
+  }
+  if (query.from) {
+    conditions.push('created_at >= @from');
+    request.input('from', sql.DateTime, new Date(query.from));
+  }
+  if (query.to) {
+    // "to" is inclusive of the whole day
+    conditions.push('created_at < DATEADD(DAY, 1, @to)');
+    request.input('to', sql.Date, query.to);
+  }
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+function mapAuditRow(row) {
+  return {
+    id: row.id,
+    actorId: row.actor_id,
+    actorRole: row.actor_role,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: row.before_data ? JSON.parse(row.before_data) : null,
+    after: row.after_data ? JSON.parse(row.after_data) : null,
+    source: row.source,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at
+  };
+}
+
+// Get audit trail (admin) - filterable by actor_id, action, entity_type, entity_id, source, from, to
+app.get('/api/audit', authorize(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    const countRequest = pool.request();
+    const countResult = await countRequest.query(`SELECT COUNT(*) as total FROM audit_log ${buildAuditFilter(req.query, countRequest)}`);
+
+    const request = pool.request()
+      .input('offset', sql.Int, (page - 1) * pageSize)
+      .input('pageSize', sql.Int, pageSize);
+    const result = await request.query(`
+      SELECT * FROM audit_log
+      ${buildAuditFilter(req.query, request)}
+      ORDER BY created_at DESC, id DESC
+      OFFSET @offset ROWS FETCH NEXT @pageSize ROWS ONLY
+    `);
+
+    res.json({
+      data: result.recordset.map(mapAuditRow),
+      page,
+      pageSize,
+      total: parseInt(countResult.recordset[0].total)
+    });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CSV with a header row; values containing commas, quotes or line breaks are quoted
+function toCsv(columns, rows) {
+  const escape = value => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(',')]
+    .concat(rows.map(row => columns.map(column => escape(row[column])).join(',')))
+    .join('\r\n');
+}
+
+// Export audit trail as CSV (default) or JSON, same filters as GET /api/audit
+app.get('/api/audit/export', authorize(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const request = pool.request();
+    const result = await request.query(`
+      SELECT TOP 50000 * FROM audit_log
+      ${buildAuditFilter(req.query, request)}
+      ORDER BY created_at DESC, id DESC
+    `);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.json"`);
+      return res.json(result.recordset.map(mapAuditRow));
+    }
+
+    const columns = ['id', 'created_at', 'actor_id', 'actor_role', 'action', 'entity_type', 'entity_id', 'source', 'ip_address', 'before_data', 'after_data'];
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(toCsv(columns, result.recordset));
+  } catch (err) {
+    console.error('Error exporting audit log:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Health check endpoint for Render
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -2240,7 +7650,7 @@ process.on('SIGTERM', () => {
 
 const os = require('os');
 // System health check endpoint
-app.get('/api/system/health', (req, res) => {
+app.get('/api/system/health', authorize(PERMISSIONS.SYSTEM_READ), (req, res) => {
   const totalMem = os.totalmem();
   const freeMem = os.freemem();
   const usedMem = totalMem - freeMem;
@@ -2270,7 +7680,7 @@ app.get('/api/system/health', (req, res) => {
 });
 
 // System Health Endpoint for Admin Panel
-app.get('/api/system/health', async (req, res) => {
+app.get('/api/system/health', authorize(PERMISSIONS.SYSTEM_READ), async (req, res) => {
   try {
     // Uptime in seconds
     const uptime = process.uptime();
@@ -2291,27 +7701,3 @@ app.get('/api/system/health', async (req, res) => {
     res.status(500).json({ error: 'Failed to get system health', details: err.message });
   }
 });
-
-// Middleware to block leave endpoints for admin users
-function blockAdminLeave(req, res, next) {
-  // user info is usually attached to req.user after authentication
-  // For this codebase, user info is returned on login, but not attached to req.user by default.
-  // We'll check for employee_id in body/query and fetch role if not present.
-  const employeeId = req.body.employee_id || req.body.employeeId || req.query.employee_id || req.query.employeeId;
-  if (!employeeId) return next(); // If no employeeId, let it pass (could be admin viewing all leaves etc.)
-
-  // Fetch user role from DB
-  pool.request()
-    .input('employee_id', sql.VarChar, employeeId)
-    .query('SELECT role FROM employees WHERE employee_id = @employee_id')
-    .then(result => {
-      if (result.recordset.length && result.recordset[0].role === 'admin') {
-        return res.status(403).json({ error: 'Admin users cannot access leave features.' });
-      }
-      next();
-    })
-    .catch(() => next()); // If DB error, let it pass (fail open)
-}
-
-// Apply this middleware to all leave-related endpoints
-app.use(['/api/leaves', '/api/leaves/*'], blockAdminLeave);
\ No newline at end of file
@@ -0,0 +1,168 @@
+require('dotenv').config();
+
+// Leave duration in working days.
+// The weekly-off pattern comes from WEEKLY_OFF_DAYS: comma separated day numbers
+// (0 = Sunday ... 6 = Saturday), optionally limited to the nth occurrence in the
+// month, e.g. "0,6:2,6:4" for every Sunday plus the 2nd and 4th Saturday.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function parseWeeklyOffs(pattern) {
+  return String(pattern)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [day, nth] = entry.split(':').map(part => parseInt(part, 10));
+      return { day, nth: nth || null };
+    })
+    .filter(entry => entry.day >= 0 && entry.day <= 6);
+}
+
+const WEEKLY_OFFS = parseWeeklyOffs(process.env.WEEKLY_OFF_DAYS || '0,6');
+
+// Whether non-working days that fall between two working days of a leave are
+// charged against it. Each leave type carries its own rule; by default only
+// working days count.
+const DEFAULT_LEAVE_DAY_RULE = { countWeeklyOffs: false, countHolidays: false };
+
+// Half-day sessions. A leave can start in the second half of its first day and
+// end after the first half of its last day; a single-day leave can be either half.
+const SESSIONS = ['full', 'first_half', 'second_half'];
+
+function normalizeSession(session) {
+  return (session || 'full').toString().trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Returns { field, message } for the offending session field, or null when the
+// sessions are valid for the range
+function validateSessions(startDate, endDate, startSession, endSession) {
+  const start = normalizeSession(startSession);
+  const end = normalizeSession(endSession);
+  const invalid = `Session must be one of ${SESSIONS.join(', ')}`;
+  if (!SESSIONS.includes(start)) return { field: 'startSession', message: invalid };
+  if (!SESSIONS.includes(end)) return { field: 'endSession', message: invalid };
+  if (toDateKey(startDate) === toDateKey(endDate)) {
+    return endSession && end !== start
+      ? { field: 'endSession', message: 'A single-day leave must use the same start and end session' }
+      : null;
+  }
+  if (start === 'first_half') return { field: 'startSession', message: 'A leave spanning several days cannot start with the first half only' };
+  if (end === 'second_half') return { field: 'endSession', message: 'A leave spanning several days cannot end with the second half only' };
+  return null;
+}
+
+// Halves of a date taken by a leave: ['first_half', 'second_half'] for a full day
+function halvesOn(leave, dateKey) {
+  const start = toDateKey(leave.startDate);
+  const end = toDateKey(leave.endDate);
+  if (dateKey < start || dateKey > end) return [];
+  let session = 'full';
+  if (dateKey === start) session = normalizeSession(leave.startSession);
+  else if (dateKey === end) session = normalizeSession(leave.endSession);
+  return session === 'full' ? ['first_half', 'second_half'] : [session];
+}
+
+// True when two leaves ({ startDate, endDate, startSession, endSession }) share
+// any half day. A first-half and a second-half leave on the same date don't clash.
+function leavesOverlap(a, b) {
+  const from = [toDateKey(a.startDate), toDateKey(b.startDate)].sort()[1];
+  const to = [toDateKey(a.endDate), toDateKey(b.endDate)].sort()[0];
+  if (from > to) return false;
+  // Only the boundary dates can be half days, so checking them is enough
+  return [...new Set([from, to])].some(date => halvesOn(a, date).some(half => halvesOn(b, date).includes(half)));
+}
+
+// 'YYYY-MM-DD' for a Date or date string, ignoring the time zone
+function toDateKey(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+}
+
+// Today (or date) as 'YYYY-MM-DD' in the server's time zone
+function localDateKey(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 'YYYY-MM-DD' days calendar days after (or, if negative, before) a date
+function addDays(value, days) {
+  const date = new Date(`${toDateKey(value)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+}
+
+function isWeeklyOff(date, weeklyOffs = WEEKLY_OFFS) {
+  const day = date.getUTCDay();
+  const nth = Math.ceil(date.getUTCDate() / 7);
+  return weeklyOffs.some(off => off.day === day && (!off.nth || off.nth === nth));
+}
+
+// holidays: Map of 'YYYY-MM-DD' -> holiday name.
+// Returns { days, breakdown } where breakdown has one entry per calendar day;
+// days can be fractional when a half-day session is used.
+function calculateLeaveDays(startDate, endDate, {
+  holidays = new Map(),
+  rule = DEFAULT_LEAVE_DAY_RULE,
+  weeklyOffs = WEEKLY_OFFS,
+  startSession = 'full',
+  endSession = startSession
+} = {}) {
+  const start = new Date(`${toDateKey(startDate)}T00:00:00Z`);
+  const end = new Date(`${toDateKey(endDate)}T00:00:00Z`);
+  if (isNaN(start) || isNaN(end) || end < start) {
+    return { days: 0, breakdown: [] };
+  }
+
+  const firstKey = toDateKey(start);
+  const lastKey = toDateKey(end);
+  const breakdown = [];
+  for (let date = new Date(start); date <= end; date.setUTCDate(date.getUTCDate() + 1)) {
+    const key = toDateKey(date);
+    let session = 'full';
+    if (key === firstKey) session = normalizeSession(startSession);
+    else if (key === lastKey) session = normalizeSession(endSession);
+    const entry = { date: key, day: DAY_NAMES[date.getUTCDay()], status: 'working', session, counted: true };
+    if (holidays.has(key)) {
+      entry.status = 'holiday';
+      entry.holiday = holidays.get(key);
+    } else if (isWeeklyOff(date, weeklyOffs)) {
+      entry.status = 'weekly_off';
+    }
+    breakdown.push(entry);
+  }
+
+  // Non-working days are only charged when the rule allows it and they are
+  // sandwiched between working days of the same leave
+  const firstWorking = breakdown.findIndex(entry => entry.status === 'working');
+  const lastWorking = breakdown.map(entry => entry.status).lastIndexOf('working');
+  breakdown.forEach((entry, index) => {
+    if (entry.status === 'working') return;
+    const intervening = firstWorking !== -1 && index > firstWorking && index < lastWorking;
+    const countable = entry.status === 'holiday' ? rule.countHolidays : rule.countWeeklyOffs;
+    entry.counted = intervening && countable;
+  });
+  breakdown.forEach(entry => {
+    entry.value = entry.counted ? (entry.session === 'full' ? 1 : 0.5) : 0;
+  });
+
+  return {
+    days: breakdown.reduce((total, entry) => total + entry.value, 0),
+    breakdown
+  };
+}
+
+module.exports = {
+  WEEKLY_OFFS,
+  DEFAULT_LEAVE_DAY_RULE,
+  parseWeeklyOffs,
+  isWeeklyOff,
+  toDateKey,
+  localDateKey,
+  addDays,
+  SESSIONS,
+  normalizeSession,
+  validateSessions,
+  leavesOverlap,
+  calculateLeaveDays
+};
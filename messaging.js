@@ -0,0 +1,44 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Message transports used to deliver one-time codes to employees.
+// A transport is an object with a name and an async send(message) function,
+// where message = { channel: 'email' | 'sms', to, subject, text }.
+// Real email/SMS gateways can be plugged in with registerTransport().
+
+const transports = {};
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+// Prints messages to the server console (local development)
+registerTransport('console', () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`📨 [${message.channel}] to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}));
+
+// Appends messages as JSON lines to a file (local development / testing)
+registerTransport('file', () => {
+  const filePath = process.env.MESSAGE_FILE_PATH || path.join(__dirname, 'logs', 'messages.log');
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + '\n');
+    }
+  };
+});
+
+function createTransport(name = process.env.MESSAGE_TRANSPORT || 'console') {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown message transport: ${name}`);
+  }
+  return factory();
+}
+
+module.exports = { registerTransport, createTransport };
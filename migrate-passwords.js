@@ -0,0 +1,39 @@
+// One-shot migration: hash every employee password still stored in plaintext.
+// Safe to run more than once - rows that are already hashed are skipped.
+// Usage: npm run migrate:passwords
+const sql = require('mssql');
+const { pool, connect } = require('./db');
+const { isHashed, hashPassword } = require('./passwords');
+
+async function migratePasswords() {
+  await connect();
+
+  const result = await pool.request().query('SELECT employee_id, password FROM employees');
+  const pending = result.recordset.filter(row => row.password && !isHashed(row.password));
+  console.log(`🔍 ${result.recordset.length} employees found, ${pending.length} with plaintext passwords`);
+
+  let migrated = 0;
+  for (const row of pending) {
+    try {
+      // Only overwrite the row if it still holds the plaintext we read
+      const update = await pool.request()
+        .input('hash', sql.VarChar, await hashPassword(row.password))
+        .input('employee_id', sql.VarChar, row.employee_id)
+        .input('plaintext', sql.VarChar, row.password)
+        .query('UPDATE employees SET password = @hash WHERE employee_id = @employee_id AND password = @plaintext');
+      migrated += update.rowsAffected[0];
+    } catch (err) {
+      console.error(`❌ Failed to hash password for ${row.employee_id}:`, err.message);
+    }
+  }
+
+  console.log(`✅ Hashed ${migrated} of ${pending.length} plaintext passwords`);
+  return pending.length - migrated;
+}
+
+migratePasswords()
+  .then(failed => pool.close().then(() => process.exit(failed ? 1 : 0)))
+  .catch(err => {
+    console.error('❌ Password migration failed:', err.message);
+    process.exit(1);
+  });
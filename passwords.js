@@ -0,0 +1,106 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+const HASH_PREFIX = 'scrypt$';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+function envFlag(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  return value.toLowerCase() === 'true';
+}
+
+// Password policy, configurable through environment variables
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  requireLetter: envFlag('PASSWORD_REQUIRE_LETTER', true),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false)
+};
+
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return `${HASH_PREFIX}${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Checks a password against a stored value. Rows that predate hashing
+// still hold the plaintext password, which is compared in constant time.
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  if (!isHashed(stored)) {
+    const a = crypto.createHash('sha256').update(password).digest();
+    const b = crypto.createHash('sha256').update(stored).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// True for plaintext rows and hashes created with older parameters
+function needsRehash(stored) {
+  if (!isHashed(stored)) return true;
+  const [, N, r, p] = stored.split('$');
+  return parseInt(N, 10) !== SCRYPT_PARAMS.N || parseInt(r, 10) !== SCRYPT_PARAMS.r || parseInt(p, 10) !== SCRYPT_PARAMS.p;
+}
+
+// Returns a list of policy violations (empty when the password is acceptable)
+function validatePassword(password) {
+  const errors = [];
+  if (typeof password !== 'string' || password.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+    if (typeof password !== 'string') return errors;
+  }
+  if (PASSWORD_POLICY.requireLetter && !/[A-Za-z]/.test(password)) {
+    errors.push('Password must contain a letter');
+  }
+  if (PASSWORD_POLICY.requireDigit && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a digit');
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+  return errors;
+}
+
+// Random password that satisfies the configured policy
+function generateTemporaryPassword(length = Math.max(12, PASSWORD_POLICY.minLength)) {
+  const charset = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789@#$%&*';
+  let password;
+  do {
+    password = Array.from(crypto.randomBytes(length), byte => charset[byte % charset.length]).join('');
+  } while (validatePassword(password).length > 0);
+  return password;
+}
+
+module.exports = {
+  PASSWORD_POLICY,
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  validatePassword,
+  generateTemporaryPassword
+};
@@ -0,0 +1,98 @@
+// Role based access control.
+// Each role lists the permissions it grants, the roles it inherits from and
+// any inherited permissions it explicitly gives up. New roles can be added
+// with defineRole() without touching the route definitions.
+
+const PERMISSIONS = {
+  LEAVES_APPLY: 'leaves:apply',           // apply for / cancel own leave
+  LEAVES_READ_ANY: 'leaves:read:any',     // read leaves and documents of other employees
+  LEAVES_APPROVE: 'leaves:approve',       // approve / reject leaves and cancellation requests
+  EMPLOYEES_READ: 'employees:read',       // read other employees' profiles
+  EMPLOYEES_MANAGE: 'employees:manage',   // create / update employees
+  EMPLOYEES_DELETE: 'employees:delete',
+  EMPLOYEES_FIX_DATA: 'employees:fix-data',
+  BALANCES_MANAGE: 'balances:manage',     // manual and bulk leave balance updates
+  NOTIFICATIONS_ADMIN: 'notifications:admin',
+  DOCUMENTS_MANAGE: 'documents:manage',
+  SECURITY_MANAGE: 'security:manage',     // login events, account unlock
+  AUDIT_READ: 'audit:read',               // view and export the audit trail
+  APPROVALS_CONFIGURE: 'approvals:configure', // manage approval chains
+  HOLIDAYS_MANAGE: 'holidays:manage',     // maintain the holiday calendar
+  LEAVE_TYPES_MANAGE: 'leave-types:manage', // leave types and their policies
+  ENCASHMENTS_EXPORT: 'encashments:export', // export approved encashments for accounts
+  ROLES_ASSIGN: 'roles:assign',           // give any role, including ones with more access than your own
+  SYSTEM_READ: 'system:read'
+};
+
+const P = PERMISSIONS;
+
+const ROLES = {};
+
+// Cache of role name -> Set of effective permissions
+const resolved = new Map();
+
+function defineRole(name, { inherits = [], permissions = [], excludes = [] } = {}) {
+  ROLES[name.toLowerCase()] = { inherits, permissions, excludes };
+  resolved.clear();
+}
+
+defineRole('employee', {
+  permissions: [P.LEAVES_APPLY]
+});
+
+defineRole('manager', {
+  inherits: ['employee'],
+  permissions: [P.LEAVES_READ_ANY, P.LEAVES_APPROVE, P.EMPLOYEES_READ]
+});
+
+defineRole('hr', {
+  inherits: ['manager'],
+  permissions: [
+    P.EMPLOYEES_MANAGE, P.EMPLOYEES_DELETE, P.EMPLOYEES_FIX_DATA,
+    P.BALANCES_MANAGE, P.NOTIFICATIONS_ADMIN, P.DOCUMENTS_MANAGE,
+    P.SECURITY_MANAGE, P.APPROVALS_CONFIGURE, P.HOLIDAYS_MANAGE,
+    P.LEAVE_TYPES_MANAGE, P.ENCASHMENTS_EXPORT
+  ]
+});
+
+// Admin accounts manage the system but do not apply for leave themselves
+defineRole('admin', {
+  inherits: ['hr'],
+  permissions: [P.SYSTEM_READ, P.AUDIT_READ, P.ROLES_ASSIGN],
+  excludes: [P.LEAVES_APPLY]
+});
+
+function normalizeRole(role) {
+  return (role || 'employee').toString().trim().toLowerCase();
+}
+
+function permissionsFor(role, seen = new Set()) {
+  const name = normalizeRole(role);
+  if (resolved.has(name)) return resolved.get(name);
+
+  const definition = ROLES[name];
+  const result = new Set();
+  if (definition && !seen.has(name)) {
+    seen.add(name);
+    for (const parent of definition.inherits) {
+      for (const permission of permissionsFor(parent, seen)) result.add(permission);
+    }
+    for (const permission of definition.permissions) result.add(permission);
+    for (const permission of definition.excludes) result.delete(permission);
+  }
+  resolved.set(name, result);
+  return result;
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).has(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  defineRole,
+  normalizeRole,
+  permissionsFor,
+  hasPermission
+};
@@ -0,0 +1,48 @@
+// Simple in-memory fixed window rate limiter.
+// hit(key) counts one attempt and reports whether it is still within the limit.
+
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      if (hits.size > 10000) prune(now);
+
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return {
+        allowed: entry.count <= max,
+        remaining: Math.max(0, max - entry.count),
+        retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+      };
+    },
+    // Same as hit() without counting an attempt
+    peek(key) {
+      const entry = hits.get(key);
+      if (!entry || entry.resetAt <= Date.now()) {
+        return { allowed: true, remaining: max, retryAfter: 0 };
+      }
+      return {
+        allowed: entry.count < max,
+        remaining: Math.max(0, max - entry.count),
+        retryAfter: Math.ceil((entry.resetAt - Date.now()) / 1000)
+      };
+    },
+    reset(key) {
+      hits.delete(key);
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
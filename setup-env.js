@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 console.log('🔧 Setting up environment variables for SQL Server...\n');
 
@@ -14,6 +15,27 @@ DB_PASSWORD=Sid91221
 PORT=5000
 NODE_ENV=development
 
+# Authentication
+JWT_SECRET=${crypto.randomBytes(48).toString('hex')}
+ACCESS_TOKEN_TTL=900
+REFRESH_TOKEN_TTL=604800
+SESSION_IDLE_TIMEOUT_MINUTES=30
+PASSWORD_MIN_LENGTH=8
+PASSWORD_REQUIRE_UPPERCASE=false
+PASSWORD_REQUIRE_SYMBOL=false
+LOGIN_MAX_ATTEMPTS=5
+LOGIN_LOCKOUT_MINUTES=15
+LOGIN_IP_MAX_FAILURES=20
+MFA_REQUIRED_ROLES=admin,hr
+
+# One-time codes (console | file)
+MESSAGE_TRANSPORT=console
+OTP_TTL_MINUTES=10
+
+# Leave calculation (0 = Sunday ... 6 = Saturday, "6:2" = 2nd Saturday)
+WEEKLY_OFF_DAYS=0,6
+YEAR_END_AUTO_CLOSE=false
+
 # API Configuration
 API_BASE_URL=http://localhost:5000
 CORS_ORIGIN=http://localhost:3000,http://localhost:8080,http://localhost:5173
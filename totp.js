@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) compatible with Google
+// Authenticator, Microsoft Authenticator, Authy etc.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+}
+
+function currentStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// Returns the matching time step (so callers can reject replays), or null.
+// window allows for clock drift of +/- that many steps.
+function verifyTotp(secret, code, { window = 1, time = Date.now() } = {}) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+  const step = currentStep(time);
+  for (let i = -window; i <= window; i++) {
+    const expected = Buffer.from(hotp(secret, step + i));
+    if (crypto.timingSafeEqual(expected, Buffer.from(token))) return step + i;
+  }
+  return null;
+}
+
+// otpauth:// URI to render as a QR code in the enrollment screen
+function provisioningUri(secret, accountName, issuer = 'BUIDCO') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Single-use recovery codes, e.g. "4f9k-2m7x"
+function generateRecoveryCodes(count = 10) {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  hotp,
+  currentStep,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};